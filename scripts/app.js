@@ -1,18 +1,9 @@
 // Your deployed proxy Worker
 const BASE = "https://jalprox.parkfitz.workers.dev";
 const ALERTS_BASE = `${BASE}/alerts`;
-
-// Yard list (name + ID) from the upstream page
-const YARDS = [
-  { id: "1020", name: "BOISE" },
-  { id: "1021", name: "CALDWELL" },
-  { id: "1119", name: "GARDEN CITY" },
-  { id: "1022", name: "NAMPA" },
-  { id: "1099", name: "TWIN FALLS" },
-  { id: "trusty", name: "TRUSTY'S" },
-];
-
-const JALOPY_YARD_NAMES = new Set(YARDS.filter(y => y.name !== "TRUSTY'S").map(y => y.name));
+const OWNER_TOKEN_STORAGE_KEY = "jalopyAlerts.ownerToken";
+const OWNER_CLAIM_STORAGE_KEY = "jalopyAlerts.legacyClaimed";
+const PUSH_ENDPOINT_STORAGE_KEY = "jalopyAlerts.pushEndpoint";
 
 const els = {
   make: document.getElementById("make"),
@@ -25,23 +16,50 @@ const els = {
   alertStatus: document.getElementById("alertStatus"),
   alertNotes: document.getElementById("alertNotes"),
   saveAlertBtn: document.getElementById("saveAlertBtn"),
+  alertEmail: document.getElementById("alertEmail"),
+  alertWebhookUrl: document.getElementById("alertWebhookUrl"),
+  alertWebhookFormat: document.getElementById("alertWebhookFormat"),
+  alertWebhookSecret: document.getElementById("alertWebhookSecret"),
+  alertNotifyRemovals: document.getElementById("alertNotifyRemovals"),
+  alertExtraModels: document.getElementById("alertExtraModels"),
+  alertExcludeModels: document.getElementById("alertExcludeModels"),
+  alertYards: document.getElementById("alertYards"),
+  alertIncludeRows: document.getElementById("alertIncludeRows"),
+  alertExcludeRows: document.getElementById("alertExcludeRows"),
+  alertSchedule: document.getElementById("alertSchedule"),
+  alertScheduleAt: document.getElementById("alertScheduleAt"),
+  alertQuietStart: document.getElementById("alertQuietStart"),
+  alertQuietEnd: document.getElementById("alertQuietEnd"),
   alertsList: document.getElementById("alertsList"),
+  accountEmail: document.getElementById("accountEmail"),
+  accountLoginBtn: document.getElementById("accountLoginBtn"),
+  accountSignedOut: document.getElementById("accountSignedOut"),
+  accountSignedIn: document.getElementById("accountSignedIn"),
+  accountSummary: document.getElementById("accountSummary"),
+  accountDeviceBtn: document.getElementById("accountDeviceBtn"),
+  accountSignOutBtn: document.getElementById("accountSignOutBtn"),
+  accountStatus: document.getElementById("accountStatus"),
   results: document.getElementById("results"),
   yardCounts: document.getElementById("yardCounts"),
   quickFilter: document.getElementById("quickFilter"),
+  yardFilter: document.getElementById("yardFilter"),
   sort: document.getElementById("sort"),
 };
 
 // In-memory caches
+let yards = []; // [{ id, name, source, label }] from /api/yards
+let yardLabels = new Map(); // yard name -> display label
 let makesCache = null; // string[]
 const modelsCache = new Map(); // make -> string[]
 
 // Last full result set (unfiltered by quick filter)
 let lastRows = [];
+let lastYardStatus = new Map(); // yardName -> per-yard status block from /api/searchAll
 let alertsCache = [];
 let pushSubscription = null;
 let vapidPublicKey = null;
 let swReadyPromise = null;
+let ownerTokenPromise = null;
 
 function setStatus(msg, kind = "") {
   els.status.className = "status" + (kind ? " " + kind : "");
@@ -53,6 +71,11 @@ function setAlertStatus(msg, kind = "") {
   els.alertStatus.textContent = msg;
 }
 
+function setAccountStatus(msg, kind = "") {
+  els.accountStatus.className = "status" + (kind ? " " + kind : "");
+  els.accountStatus.textContent = msg;
+}
+
 function describeCurrentSelection() {
   const make = (els.make.value || "").trim();
   const model = (els.model.value || "").trim();
@@ -99,6 +122,10 @@ async function ensurePushSubscription() {
     return existing;
   }
 
+  return subscribePush(reg);
+}
+
+async function subscribePush(reg) {
   const publicKey = await fetchVapidKey();
   const sub = await reg.pushManager.subscribe({
     userVisibleOnly: true,
@@ -108,6 +135,44 @@ async function ensurePushSubscription() {
   return sub;
 }
 
+// The browser can rotate (or drop) its push subscription; move our alerts onto the current one.
+async function syncPushSubscription() {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) return;
+  const stored = readStorage(PUSH_ENDPOINT_STORAGE_KEY);
+  if (!stored) return;
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg?.pushManager) return;
+  let sub = await reg.pushManager.getSubscription();
+  // Permission is already granted, so this does not prompt.
+  if (!sub && "Notification" in window && Notification.permission === "granted") sub = await subscribePush(reg);
+  if (!sub || sub.endpoint === stored) return;
+  await alertsApi("/subscription", { method: "POST", body: { oldEndpoint: stored, subscription: subscriptionPayload(sub) } });
+  writeStorage(PUSH_ENDPOINT_STORAGE_KEY, sub.endpoint);
+}
+
+// Alerts whose endpoint the push service rejected (404/410): drop the dead subscription and start fresh.
+async function resubscribePush() {
+  setAlertStatus("Re-subscribing this browser…");
+  try {
+    const reg = await ensureServiceWorkerReady();
+    const existing = await reg.pushManager.getSubscription();
+    if (existing) await existing.unsubscribe();
+    if (!("Notification" in window) || (await Notification.requestPermission()) !== "granted") {
+      throw new Error("Notification permission not granted.");
+    }
+    const sub = await subscribePush(reg);
+    const data = await alertsApi("/subscription", {
+      method: "POST",
+      body: { oldEndpoint: existing?.endpoint || readStorage(PUSH_ENDPOINT_STORAGE_KEY), subscription: subscriptionPayload(sub) },
+    });
+    writeStorage(PUSH_ENDPOINT_STORAGE_KEY, sub.endpoint);
+    setAlertStatus(`Push re-enabled on ${data.updated || 0} alert(s).`, "ok");
+    await loadAlerts();
+  } catch (e) {
+    setAlertStatus(e.message || "Failed to re-subscribe.", "err");
+  }
+}
+
 function subscriptionPayload(sub) {
   const json = sub?.toJSON?.();
   if (!json) return null;
@@ -117,21 +182,93 @@ function subscriptionPayload(sub) {
   };
 }
 
+// "civic, Element" -> ["CIVIC", "ELEMENT"]; also used for row lists ("1-10, 55").
+function parseListInput(value) {
+  return (value || "").split(",").map(v => v.trim().toUpperCase()).filter(Boolean);
+}
+
+// Extra criteria for the alert being saved; the dropdown model (if any) comes first.
+function readAlertCriteria(selection) {
+  const extra = parseListInput(els.alertExtraModels.value);
+  const models = Array.from(new Set([selection?.model, ...extra].filter(Boolean).map(m => m.toUpperCase())));
+  return {
+    VehicleModels: models,
+    excludeModels: parseListInput(els.alertExcludeModels.value),
+    yardIds: selectedAlertYards(),
+    includeRows: parseListInput(els.alertIncludeRows.value),
+    excludeRows: parseListInput(els.alertExcludeRows.value),
+  };
+}
+
+function describeRowRanges(ranges) {
+  return (ranges || []).map(r => (typeof r === "string" ? r : r.from === r.to ? `${r.from}` : `${r.from}–${r.to}`)).join(", ");
+}
+
+function yardNamesFor(ids) {
+  return ids.map(id => {
+    const yard = yards.find(y => String(y.id) === String(id));
+    return yard ? displayYardName(yard.name) : id;
+  }).join(", ");
+}
+
+function browserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+  } catch (e) {
+    return "UTC";
+  }
+}
+
+function readAlertSchedule() {
+  const value = els.alertSchedule.value;
+  if (value === "daily") return { type: "daily", at: els.alertScheduleAt.value || "07:00" };
+  if (value === "hourly") return { type: "hourly" };
+  return { type: "interval", hours: Number(value) };
+}
+
+// Both ends are needed; a half-filled range means no quiet hours.
+function readQuietHours() {
+  const start = els.alertQuietStart.value;
+  const end = els.alertQuietEnd.value;
+  return start && end ? { start, end } : null;
+}
+
+function describeSchedule(schedule, timeZone) {
+  if (!schedule) return "daily";
+  if (schedule.type === "hourly") return "every hour";
+  if (schedule.type === "interval") return `every ${schedule.hours} hours`;
+  return `daily at ${schedule.at}${timeZone && timeZone !== browserTimeZone() ? ` (${timeZone})` : ""}`;
+}
+
 function updateAlertNotes() {
   const selection = describeCurrentSelection();
   if (!selection) {
     els.alertNotes.textContent = "Pick a make/model above, then save the alert.";
     return;
   }
-  const detail = selection.model ? selection.model : "Any model";
+  const criteria = readAlertCriteria(selection);
+  const detail = criteria.VehicleModels.length ? criteria.VehicleModels.join(", ") : "Any model";
   const minY = normalizeYear(els.minYear.value);
   const maxY = normalizeYear(els.maxYear.value);
   const yearText = describeYearRange(minY, maxY);
+  const email = (els.alertEmail.value || "").trim();
+  const webhookUrl = (els.alertWebhookUrl.value || "").trim();
+  const channels = ["push"];
+  if (email) channels.push(`email to ${email}`);
+  if (webhookUrl) channels.push(`${els.alertWebhookFormat.value} webhook`);
   const lines = [
     `Make: ${selection.make}`,
     `Model: ${detail}`,
     `Year(s): ${yearText}`,
+    `Notify: ${channels.join(" + ")}`,
+    `Check: ${describeSchedule(readAlertSchedule())}`,
   ];
+  if (criteria.excludeModels.length) lines.push(`Excluding: ${criteria.excludeModels.join(", ")}`);
+  if (criteria.yardIds.length) lines.push(`Yards: ${yardNamesFor(criteria.yardIds)}`);
+  if (criteria.includeRows.length) lines.push(`Only rows: ${describeRowRanges(criteria.includeRows)}`);
+  if (criteria.excludeRows.length) lines.push(`Skipping rows: ${describeRowRanges(criteria.excludeRows)}`);
+  const quiet = readQuietHours();
+  if (quiet) lines.push(`Quiet hours: ${quiet.start}–${quiet.end}`);
   els.alertNotes.innerHTML = lines.map(line => `<div>${escapeHtml(line)}</div>`).join("");
 }
 
@@ -139,7 +276,7 @@ function clearResults(message = "") {
   els.results.innerHTML = "";
   const tr = document.createElement("tr");
   const td = document.createElement("td");
-  td.colSpan = 5;
+  td.colSpan = 6;
   td.className = "muted";
   td.textContent = message || "No results.";
   tr.appendChild(td);
@@ -167,11 +304,72 @@ async function postJson(path, bodyObj) {
   return await r.json();
 }
 
-async function alertsApi(path, { method = "GET", body } = {}) {
-  const opts = { method, headers: { "Content-Type": "application/json" } };
+function readStorage(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    console.error("localStorage unavailable", e);
+  }
+}
+
+function removeStorage(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    console.error("localStorage unavailable", e);
+  }
+}
+
+// Owner token identifies this browser's alerts; issued once by the Worker and kept in localStorage.
+async function ensureOwnerToken() {
+  const stored = readStorage(OWNER_TOKEN_STORAGE_KEY);
+  if (stored) return stored;
+  if (!ownerTokenPromise) {
+    ownerTokenPromise = (async () => {
+      const r = await fetch(`${ALERTS_BASE}/owner`, { method: "POST", headers: { "Content-Type": "application/json" } });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok || !data.ownerToken) throw new Error(data?.error || `Owner token request failed (${r.status})`);
+      writeStorage(OWNER_TOKEN_STORAGE_KEY, data.ownerToken);
+      return data.ownerToken;
+    })().finally(() => {
+      ownerTokenPromise = null;
+    });
+  }
+  return ownerTokenPromise;
+}
+
+// Alerts saved before owner tokens were tied to IP + browser; adopt them once via this browser's push subscription.
+async function claimLegacyAlerts() {
+  if (readStorage(OWNER_CLAIM_STORAGE_KEY)) return;
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) return;
+  const reg = await navigator.serviceWorker.getRegistration();
+  const sub = await reg?.pushManager?.getSubscription();
+  const subscription = subscriptionPayload(sub);
+  if (!subscription) return;
+  await alertsApi("/claim", { method: "POST", body: { subscription } });
+  writeStorage(OWNER_CLAIM_STORAGE_KEY, new Date().toISOString());
+}
+
+async function alertsApi(path, { method = "GET", body, retryOnAuth = true } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (path !== "/public-key") headers.Authorization = `Bearer ${await ensureOwnerToken()}`;
+  const opts = { method, headers };
   if (body) opts.body = JSON.stringify(body);
   const r = await fetch(ALERTS_BASE + path, opts);
   const data = await r.json().catch(() => ({}));
+  if (r.status === 401 && headers.Authorization && retryOnAuth) {
+    // Token no longer verifies (e.g. the signing secret was rotated); get a new one and retry once.
+    removeStorage(OWNER_TOKEN_STORAGE_KEY);
+    return await alertsApi(path, { method, body, retryOnAuth: false });
+  }
   if (!r.ok) {
     const msg = data?.error || `${method} ${path} failed (${r.status})`;
     throw new Error(msg);
@@ -194,8 +392,7 @@ function normalizeYardName(name) {
 
 function displayYardName(name) {
   const normalized = normalizeYardName(name);
-  if (JALOPY_YARD_NAMES.has(normalized)) return `JJ ${normalized}`;
-  return normalized;
+  return yardLabels.get(normalized) || normalized;
 }
 
 function describeYearRange(minY, maxY) {
@@ -231,6 +428,10 @@ function applyFiltersAndRender() {
   if (minY !== null) rows = rows.filter(r => r.year >= minY);
   if (maxY !== null) rows = rows.filter(r => r.year <= maxY);
 
+  // Yard filter
+  const yardId = els.yardFilter.value;
+  if (yardId) rows = rows.filter(r => String(r.yardId) === yardId);
+
   // Quick filter (yard/make/model/row)
   if (q) {
     rows = rows.filter(r => {
@@ -246,6 +447,9 @@ function applyFiltersAndRender() {
     if (sort === "year_asc") return a.year - b.year;
     if (sort === "yard_asc") return a.yardName.localeCompare(b.yardName) || (b.year - a.year);
     if (sort === "yard_desc") return b.yardName.localeCompare(a.yardName) || (b.year - a.year);
+    // Vehicles without sighting history sort last either way.
+    if (sort === "days_asc") return compareDaysOnLot(a, b, 1);
+    if (sort === "days_desc") return compareDaysOnLot(a, b, -1);
     return 0;
   });
 
@@ -271,28 +475,77 @@ function renderRows(rows) {
       <td>${escapeHtml(r.make)}</td>
       <td>${escapeHtml(r.model)}</td>
       <td>${escapeHtml(r.row)}</td>
+      <td title="${escapeHtml(describeSighting(r))}">${escapeHtml(formatDaysOnLot(r.daysOnLot))}</td>
     `;
     frag.appendChild(tr);
   }
   els.results.appendChild(frag);
 }
 
+function compareDaysOnLot(a, b, direction) {
+  const da = Number.isFinite(a.daysOnLot) ? a.daysOnLot : null;
+  const db = Number.isFinite(b.daysOnLot) ? b.daysOnLot : null;
+  if (da === null || db === null) return (da === null) - (db === null);
+  return (da - db) * direction || (b.year - a.year);
+}
+
+function formatDaysOnLot(days) {
+  if (!Number.isFinite(days)) return "—";
+  return days === 0 ? "new" : String(days);
+}
+
+function describeSighting(r) {
+  if (!r.firstSeenAt) return "Not seen by an earlier crawl yet";
+  return `First seen ${formatTimestamp(r.firstSeenAt)}`;
+}
+
 function renderYardCounts(rows) {
   const counts = new Map();
-  for (const y of YARDS) counts.set(y.name, 0);
+  for (const y of yards) counts.set(y.name, 0);
   for (const r of rows) counts.set(r.yardName, (counts.get(r.yardName) || 0) + 1);
 
   els.yardCounts.innerHTML = "";
   const frag = document.createDocumentFragment();
-  for (const y of YARDS) {
+  for (const y of yards) {
     const div = document.createElement("div");
-    div.className = "pill";
-    div.textContent = `${displayYardName(y.name)}: ${counts.get(y.name) || 0}`;
+    const status = lastYardStatus.get(y.name);
+    const failed = status && status.status !== "ok";
+    div.className = failed ? "pill failed" : status?.stale ? "pill stale" : "pill";
+    // A failed yard can still have rows from its last good copy; say how old they are.
+    const hasRows = !failed || status.stale;
+    let text = `${displayYardName(y.name)}: ${hasRows ? counts.get(y.name) || 0 : status.status}`;
+    if (status?.stale && status.fetchedAt) text += ` · as of ${formatAge(status.fetchedAt)}`;
+    if (status?.diagnostics?.length) text += " ⚠";
+    div.textContent = text;
+    if (status) div.title = describeYardStatus(status);
     frag.appendChild(div);
   }
   els.yardCounts.appendChild(frag);
 }
 
+function describeYardStatus(status) {
+  const parts = [status.status === "ok" ? "OK" : `Failed (${status.status})`];
+  if (Number.isFinite(status.latencyMs)) parts.push(`${status.latencyMs} ms`);
+  parts.push(status.cached ? "cached" : "fresh");
+  if (status.fetchedAt) parts.push(`fetched ${formatTimestamp(status.fetchedAt)}`);
+  if (Number.isFinite(status.avgDaysToCrush)) {
+    parts.push(`avg ${status.avgDaysToCrush} days on lot before crush (${status.crushSamples} seen)`);
+  }
+  if (status.error) parts.push(status.error);
+  // Parser notes (skipped rows, unknown columns): the yard answered but something looked off.
+  if (Array.isArray(status.diagnostics) && status.diagnostics.length) parts.push(`Parser: ${status.diagnostics.join("; ")}`);
+  return parts.join(" • ");
+}
+
+// Yards whose status block says they failed; `yards` is the per-yard array from the aggregation endpoints.
+function failedYards(yards) {
+  return (Array.isArray(yards) ? yards : []).filter(y => y?.status && y.status !== "ok");
+}
+
+function describeFailedYards(failed) {
+  return failed.map(y => `${displayYardName(normalizeYardName(y.name))} ${y.status}`).join(", ");
+}
+
 function escapeHtml(s) {
   return String(s)
     .replaceAll("&", "&amp;")
@@ -302,22 +555,64 @@ function escapeHtml(s) {
     .replaceAll("'", "&#039;");
 }
 
+async function loadYards() {
+  try {
+    const r = await fetch(`${BASE}/api/yards`);
+    if (!r.ok) throw new Error(`/api/yards failed: ${r.status}`);
+    const data = await r.json();
+    setYards(Array.isArray(data?.yards) ? data.yards : []);
+  } catch (e) {
+    // Pills and labels fall back to whatever yards the first search reports.
+    console.error(e);
+    setYards([]);
+  }
+}
+
+function setYards(list) {
+  yards = list.map(y => ({ ...y, name: normalizeYardName(y.name) }));
+  yardLabels = new Map(yards.filter(y => y.label).map(y => [y.name, y.label]));
+
+  const selected = els.yardFilter.value;
+  els.yardFilter.innerHTML = '<option value="">All yards</option>';
+  for (const y of yards) {
+    const opt = document.createElement("option");
+    opt.value = String(y.id);
+    opt.textContent = displayYardName(y.name);
+    els.yardFilter.appendChild(opt);
+  }
+  els.yardFilter.value = yards.some(y => String(y.id) === selected) ? selected : "";
+
+  const allowed = new Set(selectedAlertYards());
+  els.alertYards.innerHTML = "";
+  for (const y of yards) {
+    const opt = document.createElement("option");
+    opt.value = String(y.id);
+    opt.textContent = displayYardName(y.name);
+    opt.selected = allowed.has(opt.value);
+    els.alertYards.appendChild(opt);
+  }
+}
+
+function selectedAlertYards() {
+  return Array.from(els.alertYards.selectedOptions || []).map(o => o.value);
+}
+
 async function loadMakesAllYards() {
   setStatus("Loading makes across sources…");
   els.make.disabled = true;
   els.model.disabled = true;
   els.searchBtn.disabled = true;
 
-  let okCount = 0;
-  let failCount = 0;
+  let failed = [];
+  let requestFailed = false;
   try {
     const data = await postApi("/makesAll", {});
     const makes = Array.isArray(data?.makes) ? data.makes.map(m => String(m).trim()).filter(Boolean) : [];
     makesCache = makes;
-    okCount = 1;
+    failed = failedYards(data?.yards);
   } catch (e) {
     makesCache = [];
-    failCount = 1;
+    requestFailed = true;
   }
 
   // Populate Make dropdown
@@ -338,8 +633,9 @@ async function loadMakesAllYards() {
   els.model.disabled = true;
   els.searchBtn.disabled = true;
 
-  if (failCount) setStatus(`Makes loaded (some sources failed: ${failCount}).`, "");
-  else setStatus(`Makes loaded from ${okCount} source(s).`, "ok");
+  if (requestFailed) setStatus("Makes failed to load.", "err");
+  else if (failed.length) setStatus(`Makes loaded (failed: ${describeFailedYards(failed)}).`, "");
+  else setStatus(`Makes loaded from ${yards.length} yard(s).`, "ok");
 
   clearResults("Select a make/model, then search.");
   els.yardCounts.innerHTML = "";
@@ -363,20 +659,24 @@ async function loadModelsAllYards(make) {
   els.searchBtn.disabled = true;
   els.model.innerHTML = '<option value="">Loading…</option>';
 
-  let failCount = 0;
+  let failed = [];
+  let requestFailed = false;
   let models = [];
   try {
     const data = await postApi("/modelsAll", { makeName: make });
     models = Array.isArray(data?.models) ? data.models.map(m => String(m).trim()).filter(Boolean) : [];
+    failed = failedYards(data?.yards);
   } catch (e) {
-    failCount = 1;
+    requestFailed = true;
   }
 
   models.sort((a, b) => a.localeCompare(b));
-  modelsCache.set(make, models);
+  // Don't pin a partial list; retry the next time this make is picked.
+  if (!requestFailed && !failed.length) modelsCache.set(make, models);
   populateModels(models);
 
-  if (failCount) setStatus(`Models loaded (some sources failed: ${failCount}).`, "");
+  if (requestFailed) setStatus("Models failed to load.", "err");
+  else if (failed.length) setStatus(`Models loaded (failed: ${describeFailedYards(failed)}).`, "");
   else setStatus("Models loaded.", "ok");
 }
 
@@ -419,6 +719,8 @@ async function searchAllYards() {
 
   let allRows = [];
   let failures = [];
+  let requestFailed = false;
+  lastYardStatus = new Map();
   try {
     const data = await postApi("/searchAll", {
       VehicleMake: make,
@@ -427,27 +729,44 @@ async function searchAllYards() {
     allRows = Array.isArray(data?.results)
       ? data.results.map(row => ({ ...row, yardName: normalizeYardName(row?.yardName) }))
       : [];
+    for (const y of Array.isArray(data?.yards) ? data.yards : []) lastYardStatus.set(normalizeYardName(y.name), y);
+    if (!yards.length) setYards(Array.isArray(data?.yards) ? data.yards : []);
+    failures = failedYards(data?.yards);
   } catch (e) {
-    failures = [e];
+    requestFailed = true;
   }
 
   lastRows = allRows;
   els.searchBtn.disabled = false;
 
+  const failureText = failures.length ? ` (failed: ${describeFailedYards(failures)})` : "";
   if (!allRows.length) {
-    setStatus(failures.length ? `No results (and ${failures.length} source(s) failed).` : "No results.", failures.length ? "" : "");
+    if (requestFailed) setStatus("Search failed. Check the Worker URL and try again.", "err");
+    else setStatus(`No results${failureText}.`, "");
     clearResults("No matches returned from any yard.");
     renderYardCounts([]);
     return;
   }
 
-  if (failures.length) setStatus(`Fetched ${allRows.length} raw rows. (${failures.length} source(s) failed.)`, "");
+  if (failures.length) setStatus(`Fetched ${allRows.length} raw rows${failureText}.`, "");
   else setStatus(`Fetched ${allRows.length} raw rows.`, "ok");
 
   // Apply year range + quick filter + sort and render.
   applyFiltersAndRender();
 }
 
+// "just now", "12m ago", "2h ago", "3d ago"
+function formatAge(ts) {
+  const ms = Date.now() - new Date(ts).getTime();
+  if (!Number.isFinite(ms)) return "unknown";
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
 function formatTimestamp(ts) {
   if (!ts) return "never";
   const d = new Date(ts);
@@ -483,11 +802,27 @@ function renderAlerts(alerts, errorMsg = "") {
     headline.className = "alert-primary";
     const { minYear, maxYear } = extractAlertYearRange(a);
     const yearText = describeYearRange(minYear, maxYear);
-    headline.textContent = `${a.VehicleMake}${a.VehicleModel ? " — " + a.VehicleModel : " (any model)"} (${yearText})`;
+    const models = a.VehicleModels?.length ? a.VehicleModels : a.VehicleModel ? [a.VehicleModel] : [];
+    headline.textContent = `${a.VehicleMake}${models.length ? " — " + models.join(" / ") : " (any model)"} (${yearText})`;
 
     const meta = document.createElement("div");
     meta.className = "alert-meta";
-    meta.textContent = `Push subscription: ${a.hasPush ? "set" : "missing"} • Created ${formatTimestamp(a.createdAt)}`;
+    const pushText = !a.hasPush ? "missing" : a.pushActive === false ? `inactive (${a.pushInactiveReason || "expired"})` : "set";
+    const channels = [`Push subscription: ${pushText}`];
+    if (a.email) channels.push(`Email: ${a.email}${a.emailVerified === false ? " (unconfirmed)" : ""}`);
+    if (a.notifyRemovals) channels.push("Departures: on");
+    channels.push(`Checks ${describeSchedule(a.schedule, a.timeZone)}`);
+    if (a.quietHours) channels.push(`Quiet ${a.quietHours.start}–${a.quietHours.end}`);
+    if (a.excludeModels?.length) channels.push(`Excluding ${a.excludeModels.join(", ")}`);
+    if (a.yardIds?.length) channels.push(`Yards: ${yardNamesFor(a.yardIds)}`);
+    if (a.includeRows?.length) channels.push(`Only rows ${describeRowRanges(a.includeRows)}`);
+    if (a.excludeRows?.length) channels.push(`Skipping rows ${describeRowRanges(a.excludeRows)}`);
+    for (const hook of a.webhooks || []) {
+      const last = hook.lastDelivery;
+      const lastText = last ? (last.ok ? "delivered" : `failed: ${last.error || last.status}`) : "not used yet";
+      channels.push(`Webhook (${hook.format}, ${hook.urlHint || "?"}): ${lastText}`);
+    }
+    meta.textContent = `${channels.join(" • ")} • Created ${formatTimestamp(a.createdAt)}`;
 
     const statusLine = document.createElement("div");
     statusLine.className = "alert-meta";
@@ -497,6 +832,16 @@ function renderAlerts(alerts, errorMsg = "") {
     left.appendChild(headline);
     left.appendChild(meta);
     left.appendChild(statusLine);
+    if (a.lastRowMoves?.length) {
+      // Relocated cars are not announced as arrivals; list them so nothing looks missing.
+      const moves = document.createElement("div");
+      moves.className = "alert-meta";
+      const shown = a.lastRowMoves.slice(0, 3).map(m => `${m.year} ${m.make} ${m.model} (${displayYardName(m.yardName)} row ${m.fromRow} → ${m.toRow})`);
+      const more = a.lastRowMoves.length - shown.length;
+      moves.textContent = `Moved rows ${formatTimestamp(a.lastRowMoves[0].movedAt)}: ${shown.join(", ")}${more > 0 ? ` and ${more} more` : ""}`;
+      left.appendChild(moves);
+    }
+    left.appendChild(renderAlertHistory(a));
 
     const actions = document.createElement("div");
     actions.className = "alert-actions";
@@ -505,6 +850,22 @@ function renderAlerts(alerts, errorMsg = "") {
     statusChip.textContent = a.lastNotificationStatus ? "Active" : "New";
     actions.appendChild(statusChip);
 
+    if (a.hasPush && a.pushActive === false) {
+      statusChip.textContent = "Push expired";
+      const resub = document.createElement("button");
+      resub.textContent = "Re-subscribe";
+      resub.addEventListener("click", () => resubscribePush());
+      actions.appendChild(resub);
+    }
+
+    if (a.email && a.emailVerified === false) {
+      const resend = document.createElement("button");
+      resend.className = "secondary";
+      resend.textContent = "Resend confirmation";
+      resend.addEventListener("click", () => resendEmailConfirmation(a.id));
+      actions.appendChild(resend);
+    }
+
     const del = document.createElement("button");
     del.className = "secondary";
     del.textContent = "Delete";
@@ -519,9 +880,104 @@ function renderAlerts(alerts, errorMsg = "") {
   els.alertsList.appendChild(frag);
 }
 
+function describeHistorySummary(unreadCount) {
+  const unread = Number(unreadCount) || 0;
+  return unread ? `Notification history (${unread} unread)` : "Notification history";
+}
+
+function renderAlertHistory(alert) {
+  const details = document.createElement("details");
+  details.className = "alert-history";
+
+  const summary = document.createElement("summary");
+  summary.textContent = describeHistorySummary(alert.unreadCount);
+  details.appendChild(summary);
+
+  const list = document.createElement("div");
+  list.className = "alert-history-list";
+  details.appendChild(list);
+
+  details.addEventListener("toggle", () => {
+    if (details.open) loadAlertHistory(alert, list, summary);
+  });
+  return details;
+}
+
+async function loadAlertHistory(alert, list, summary) {
+  list.innerHTML = `<div class="alert-meta">Loading history…</div>`;
+  let data;
+  try {
+    data = await alertsApi(`/${encodeURIComponent(alert.id)}/notifications`, { method: "GET" });
+  } catch (e) {
+    list.innerHTML = `<div class="alert-meta">${escapeHtml(e.message || "Failed to load history.")}</div>`;
+    return;
+  }
+
+  const entries = data.notifications || [];
+  list.innerHTML = "";
+  if (!entries.length) {
+    list.innerHTML = `<div class="alert-meta">No notifications yet.</div>`;
+    return;
+  }
+
+  const frag = document.createDocumentFragment();
+  for (const n of entries) {
+    const item = document.createElement("div");
+    item.className = "history-entry" + (n.read ? "" : " unread");
+
+    const when = document.createElement("div");
+    when.className = "alert-meta";
+    when.textContent = `${formatTimestamp(n.createdAt)}${n.read ? "" : " • new"}${n.status ? ` (${n.status})` : ""}`;
+
+    const title = document.createElement("div");
+    title.textContent = n.title || "Jalopy Alerts";
+
+    item.appendChild(when);
+    item.appendChild(title);
+
+    const vehicles = Array.isArray(n.vehicles) ? n.vehicles : [];
+    if (vehicles.length) {
+      const ul = document.createElement("ul");
+      for (const v of vehicles) {
+        const li = document.createElement("li");
+        li.textContent = `${v.year} ${v.make} ${v.model} — ${displayYardName(v.yardName)} row ${v.row}`;
+        ul.appendChild(li);
+      }
+      item.appendChild(ul);
+    } else if (n.body) {
+      const body = document.createElement("div");
+      body.className = "alert-meta";
+      body.textContent = n.body;
+      item.appendChild(body);
+    }
+    frag.appendChild(item);
+  }
+  list.appendChild(frag);
+
+  if (data.unreadCount) {
+    try {
+      await alertsApi(`/${encodeURIComponent(alert.id)}/notifications/read`, { method: "POST", body: {} });
+      alert.unreadCount = 0;
+      summary.textContent = describeHistorySummary(0);
+    } catch (e) {
+      console.error("mark read failed", e);
+    }
+  }
+}
+
 async function loadAlerts() {
   try {
     setAlertStatus("Loading saved alerts…");
+    try {
+      await claimLegacyAlerts();
+    } catch (e) {
+      console.error("legacy alert claim failed", e);
+    }
+    try {
+      await syncPushSubscription();
+    } catch (e) {
+      console.error("push subscription sync failed", e);
+    }
     const data = await alertsApi("", { method: "GET" });
     alertsCache = data.alerts || [];
     renderAlerts(alertsCache);
@@ -533,6 +989,101 @@ async function loadAlerts() {
   }
 }
 
+function renderAccount(account, devices = []) {
+  els.accountSignedOut.hidden = !!account;
+  els.accountSignedIn.hidden = !account;
+  if (account) {
+    els.accountSummary.textContent = `Signed in as ${account.email} • ${devices.length} device(s) notified`;
+  }
+}
+
+async function loadAccount() {
+  try {
+    const data = await alertsApi("/account", { method: "GET" });
+    renderAccount(data.account, data.devices || []);
+  } catch (e) {
+    renderAccount(null);
+    setAccountStatus(e.message || "Failed to load account.", "err");
+  }
+}
+
+async function requestLoginLink() {
+  const email = (els.accountEmail.value || "").trim();
+  if (!email) {
+    setAccountStatus("Enter your email first.", "err");
+    return;
+  }
+  setAccountStatus("Sending sign-in link…");
+  try {
+    await alertsApi("/account/login", { method: "POST", body: { email } });
+    setAccountStatus("Check your email for a sign-in link.", "ok");
+  } catch (e) {
+    setAccountStatus(e.message || "Failed to send sign-in link.", "err");
+  }
+}
+
+// Magic links land on the app as ?login=<token>; exchange it for the account's owner token.
+async function completeLoginFromUrl() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get("login");
+  if (!token) return;
+  url.searchParams.delete("login");
+  history.replaceState(null, "", url.toString());
+
+  setAccountStatus("Signing in…");
+  try {
+    let subscription = null;
+    if ("serviceWorker" in navigator && "PushManager" in window) {
+      const reg = await navigator.serviceWorker.getRegistration();
+      subscription = subscriptionPayload(await reg?.pushManager?.getSubscription());
+    }
+    const data = await alertsApi("/account/verify", { method: "POST", body: { token, subscription } });
+    writeStorage(OWNER_TOKEN_STORAGE_KEY, data.ownerToken);
+    setAccountStatus(`Signed in as ${data.account.email}.`, "ok");
+  } catch (e) {
+    setAccountStatus(e.message || "Sign-in failed.", "err");
+  }
+}
+
+// Confirmation links land on the app as ?confirmEmail=<token>&alert=<id>.
+async function completeEmailConfirmFromUrl() {
+  const url = new URL(window.location.href);
+  const token = url.searchParams.get("confirmEmail");
+  const alertId = url.searchParams.get("alert");
+  if (!token || !alertId) return;
+  url.searchParams.delete("confirmEmail");
+  url.searchParams.delete("alert");
+  history.replaceState(null, "", url.toString());
+
+  setAlertStatus("Confirming email…");
+  try {
+    const data = await alertsApi(`/${encodeURIComponent(alertId)}/email/confirm`, { method: "POST", body: { token } });
+    setAlertStatus(`Email confirmed: digests will go to ${data.email}.`, "ok");
+  } catch (e) {
+    setAlertStatus(e.message || "Email confirmation failed.", "err");
+  }
+}
+
+async function registerThisDevice() {
+  setAccountStatus("Enabling notifications on this device…");
+  try {
+    const sub = await ensurePushSubscription();
+    await alertsApi("/account/devices", { method: "POST", body: { subscription: subscriptionPayload(sub) } });
+    writeStorage(PUSH_ENDPOINT_STORAGE_KEY, sub.endpoint);
+    setAccountStatus("This device will get alert notifications.", "ok");
+    await loadAccount();
+  } catch (e) {
+    setAccountStatus(e.message || "Failed to enable notifications.", "err");
+  }
+}
+
+async function signOut() {
+  removeStorage(OWNER_TOKEN_STORAGE_KEY);
+  setAccountStatus("Signed out.", "ok");
+  await loadAccount();
+  await loadAlerts();
+}
+
 async function saveAlert() {
   const selection = describeCurrentSelection();
   if (!selection) {
@@ -547,29 +1098,71 @@ async function saveAlert() {
     return;
   }
 
+  const email = (els.alertEmail.value || "").trim();
+  const webhookUrl = (els.alertWebhookUrl.value || "").trim();
+  const webhooks = webhookUrl
+    ? [{ url: webhookUrl, format: els.alertWebhookFormat.value, secret: (els.alertWebhookSecret.value || "").trim() || null }]
+    : [];
+
   setAlertStatus("Saving alert…");
   try {
-    const sub = await ensurePushSubscription();
-    const subscription = subscriptionPayload(sub);
-
-    await alertsApi("", {
+    // Push is optional when another channel is given (e.g. browsers without Web Push).
+    let subscription = null;
+    try {
+      subscription = subscriptionPayload(await ensurePushSubscription());
+    } catch (e) {
+      if (!email && !webhooks.length) throw e;
+    }
+
+    const saved = await alertsApi("", {
       method: "POST",
       body: {
         VehicleMake: selection.make,
         VehicleModel: selection.model,
+        ...readAlertCriteria(selection),
         VehicleMinYear: minYear,
         VehicleMaxYear: maxYear,
         VehicleYear: minYear !== null && minYear === maxYear ? minYear : null,
         subscription,
+        email: email || null,
+        webhooks,
+        notifyRemovals: els.alertNotifyRemovals.checked,
+        schedule: readAlertSchedule(),
+        timeZone: browserTimeZone(),
+        quietHours: readQuietHours(),
       },
     });
-    setAlertStatus("Alert saved.", "ok");
+    if (subscription) writeStorage(PUSH_ENDPOINT_STORAGE_KEY, subscription.endpoint);
+    if (saved?.emailConfirmation === "sent") {
+      setAlertStatus("Alert saved. Check your email to confirm digests.", "ok");
+    } else if (saved?.emailConfirmation) {
+      setAlertStatus(`Alert saved, but no confirmation email went out (${saved.emailConfirmation}).`, "err");
+    } else {
+      setAlertStatus("Alert saved.", "ok");
+    }
     await loadAlerts();
   } catch (e) {
     setAlertStatus(e.message || "Failed to save alert.", "err");
   }
 }
 
+async function resendEmailConfirmation(id) {
+  setAlertStatus("Sending confirmation email…");
+  try {
+    const data = await alertsApi(`/${encodeURIComponent(id)}/email/resend`, { method: "POST" });
+    if (data.emailConfirmation === "sent") {
+      setAlertStatus("Check your email for the confirmation link.", "ok");
+    } else if (data.emailConfirmation === "already confirmed") {
+      setAlertStatus("Email already confirmed.", "ok");
+      await loadAlerts();
+    } else {
+      setAlertStatus(`Confirmation email ${data.emailConfirmation}.`, "err");
+    }
+  } catch (e) {
+    setAlertStatus(e.message || "Failed to send confirmation email.", "err");
+  }
+}
+
 async function deleteAlert(id) {
   if (!id) return;
   setAlertStatus("Deleting alert…");
@@ -606,12 +1199,36 @@ els.model.addEventListener("change", () => {
 els.searchBtn.addEventListener("click", () => searchAllYards());
 
 els.saveAlertBtn.addEventListener("click", () => saveAlert());
+els.alertEmail.addEventListener("input", () => updateAlertNotes());
+els.alertWebhookUrl.addEventListener("input", () => updateAlertNotes());
+els.alertWebhookFormat.addEventListener("change", () => updateAlertNotes());
+els.alertYards.addEventListener("change", () => updateAlertNotes());
+els.alertSchedule.addEventListener("change", () => {
+  els.alertScheduleAt.disabled = els.alertSchedule.value !== "daily";
+  updateAlertNotes();
+});
+for (const input of [
+  els.alertScheduleAt,
+  els.alertQuietStart,
+  els.alertQuietEnd,
+  els.alertExtraModels,
+  els.alertExcludeModels,
+  els.alertIncludeRows,
+  els.alertExcludeRows,
+]) {
+  input.addEventListener("input", () => updateAlertNotes());
+}
+
+els.accountLoginBtn.addEventListener("click", () => requestLoginLink());
+els.accountDeviceBtn.addEventListener("click", () => registerThisDevice());
+els.accountSignOutBtn.addEventListener("click", () => signOut());
 
 els.resetBtn.addEventListener("click", async () => {
   els.minYear.value = "";
   els.maxYear.value = "";
   els.quickFilter.value = "";
   els.sort.value = "year_desc";
+  els.yardFilter.value = "";
   modelsCache.clear();
   lastRows = [];
   els.make.value = "";
@@ -635,6 +1252,11 @@ els.sort.addEventListener("change", () => {
   applyFiltersAndRender();
 });
 
+els.yardFilter.addEventListener("change", () => {
+  if (!lastRows.length) return;
+  applyFiltersAndRender();
+});
+
 // If user edits year range after search, re-filter instantly
 els.minYear.addEventListener("input", () => {
   if (lastRows.length) applyFiltersAndRender();
@@ -648,8 +1270,12 @@ els.maxYear.addEventListener("input", () => {
 // Boot
 (async function init() {
   try {
+    await loadYards();
     await loadMakesAllYards();
     updateAlertNotes();
+    await completeLoginFromUrl();
+    await completeEmailConfirmFromUrl();
+    await loadAccount();
     await loadAlerts();
   } catch (e) {
     setStatus("Failed to load makes. Check Worker URL + CORS.", "err");
@@ -1,7 +1,5 @@
-const ALERTS_BASE = "https://jalprox.parkfitz.workers.dev/alerts";
-
 self.addEventListener("push", (event) => {
-  event.waitUntil(handlePush());
+  event.waitUntil(handlePush(event));
 });
 
 self.addEventListener("notificationclick", (event) => {
@@ -10,20 +8,20 @@ self.addEventListener("notificationclick", (event) => {
   event.waitUntil(clients.openWindow(url));
 });
 
-async function handlePush() {
+async function handlePush(event) {
   try {
-    const reg = await self.registration.pushManager.getSubscription();
-    if (!reg) return;
-    const resp = await fetch(`${ALERTS_BASE}/notification`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ endpoint: reg.endpoint }),
-    });
-    const data = await resp.json().catch(() => ({}));
-    const n = data?.notification || {};
+    // The Worker encrypts the full notification (RFC 8291); the browser hands it to us decrypted.
+    let n = {};
+    try {
+      n = event.data ? event.data.json() : {};
+    } catch (err) {
+      n = { body: event.data?.text?.() || "" };
+    }
     await self.registration.showNotification(n.title || "Jalopy Alerts", {
       body: n.body || "New vehicles found.",
       data: n.data || {},
+      // Arrivals and departures for the same alert shouldn't replace each other.
+      tag: n.data?.alertId ? `${n.data.alertId}:${n.data.kind || "added"}` : undefined,
     });
   } catch (err) {
     console.error("push handler failed", err);
@@ -0,0 +1,587 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { alertOwner, call, createCtx, createEnv, installCache, installUpstream } from "./helpers.js";
+
+const SNAPSHOT_CRON = "*/10 * * * *";
+const DAILY_CRON = "0 9 * * *";
+const HOUR_MS = 60 * 60 * 1000;
+
+let upstream;
+
+beforeEach(() => {
+  installCache();
+  upstream = installUpstream();
+});
+
+test("GET /api/yards lists the built-in registry", async () => {
+  const { status, body } = await call(worker, createEnv(), createCtx(), "GET", "/api/yards");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.yards.map((y) => `${y.id}:${y.source}:${y.label}`),
+    [
+      "1020:jalopy:JJ BOISE",
+      "1021:jalopy:JJ CALDWELL",
+      "1119:jalopy:JJ GARDEN CITY",
+      "1022:jalopy:JJ NAMPA",
+      "1099:jalopy:JJ TWIN FALLS",
+      "trusty:trusty:TRUSTY'S",
+    ]
+  );
+});
+
+test("the yard registry can come from the YARD_REGISTRY variable", async () => {
+  const env = createEnv({
+    YARD_REGISTRY: JSON.stringify([
+      { id: "1020", name: "Boise", source: "jalopy" },
+      { id: "bogus", name: "Nowhere", source: "unknown" },
+    ]),
+  });
+  const { body } = await call(worker, env, createCtx(), "GET", "/api/yards");
+  assert.deepEqual(body.yards, [{ id: "1020", name: "BOISE", source: "jalopy", label: "JJ BOISE", health: null }]);
+});
+
+test("a Pick-n-Pull yard reports a make or model the chain doesn't list as an empty lot", async () => {
+  const env = createEnv({
+    YARD_REGISTRY: JSON.stringify([{ id: "pnp-124", name: "Salt Lake City", source: "picknpull", upstreamId: "124" }]),
+  });
+  const search = async (criteria) => (await call(worker, env, createCtx(), "POST", "/api/searchAll", criteria)).body.yards[0];
+
+  for (const criteria of [{ VehicleMake: "SUBARU" }, { VehicleMake: "HONDA", VehicleModel: "PRELUDE" }]) {
+    const yard = await search(criteria);
+    assert.deepEqual({ status: yard.status, count: yard.count }, { status: "ok", count: 0 });
+  }
+  assert.ok(!upstream.calls.some((c) => c.path === "/api/vehicle/search"));
+  const civic = await search({ VehicleMake: "HONDA", VehicleModel: "CIVIC" });
+  assert.equal(civic.status, "ok");
+  assert.ok(civic.count > 0);
+});
+
+test("POST /api/searchAll aggregates every yard and reports per-yard status", async () => {
+  upstream.failures["1099"] = 503;
+  const { status, body } = await call(worker, createEnv(), createCtx(), "POST", "/api/searchAll", {
+    VehicleMake: "TOYOTA",
+    VehicleModel: "PRIUS",
+  });
+  assert.equal(status, 200);
+  // Five Jalopy yards answer from the same fixture; Twin Falls is down and Trusty has no Toyotas.
+  assert.equal(body.count, 4);
+  assert.ok(body.results.every((r) => r.model === "PRIUS" && r.year === 2010 && r.row === "37"));
+  const byId = Object.fromEntries(body.yards.map((y) => [y.id, y]));
+  assert.equal(byId["1020"].status, "ok");
+  assert.equal(byId["1099"].status, "error");
+  assert.match(byId["1099"].error, /503/);
+  assert.equal(byId.trusty.count, 0);
+});
+
+test("POST /api/searchAll rejects a missing make", async () => {
+  const { status, body } = await call(worker, createEnv(), createCtx(), "POST", "/api/searchAll", {});
+  assert.equal(status, 400);
+  assert.equal(body.error, "VehicleMake is required");
+});
+
+test("an unchanged last-known-good copy is not rewritten on every refresh", async () => {
+  const env = createEnv();
+  const writes = [];
+  const put = env.ALERTS.put.bind(env.ALERTS);
+  env.ALERTS.put = async (key, value, options) => {
+    if (key.startsWith("inventory-lkg:")) writes.push(key);
+    return put(key, value, options);
+  };
+  const search = () => call(worker, env, createCtx(), "POST", "/api/searchAll", { VehicleMake: "TOYOTA", VehicleModel: "PRIUS" });
+
+  await search();
+  assert.equal(writes.length, 6);
+  // The edge copy is gone, but the rows are the same: nothing is written.
+  installCache();
+  await search();
+  assert.equal(writes.length, 6);
+
+  upstream.extraRows["1022"] = [{ year: 2004, make: "TOYOTA", model: "PRIUS", row: "9" }];
+  installCache();
+  await search();
+  assert.deepEqual(writes.slice(6), ["inventory-lkg:1022:TOYOTA:PRIUS"]);
+
+  // An hour-old copy is rewritten even when nothing changed.
+  const key = "inventory-lkg:1020:TOYOTA:PRIUS";
+  const stored = await env.ALERTS.get(key, { type: "json" });
+  await put(key, JSON.stringify({ ...stored, fetchedAt: new Date(Date.now() - 2 * HOUR_MS).toISOString() }));
+  installCache();
+  await search();
+  assert.deepEqual(writes.slice(7), [key]);
+});
+
+test("POST /api/makesAll and /api/modelsAll merge the yards' lists", async () => {
+  const env = createEnv();
+  const makes = await call(worker, env, createCtx(), "POST", "/api/makesAll", {});
+  assert.ok(makes.body.makes.includes("TOYOTA"));
+  assert.ok(makes.body.makes.includes("MERCEDES-BENZ")); // only in Trusty's car-make select
+  assert.ok(makes.body.yards.every((y) => y.status === "ok"));
+
+  const models = await call(worker, env, createCtx(), "POST", "/api/modelsAll", { makeName: "TOYOTA" });
+  assert.deepEqual(models.body.models, ["4RUNNER", "CAMRY", "PRIUS"]);
+});
+
+test("the snapshot cron crawls one yard per tick and searches are answered from it", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  await worker.scheduled({ cron: SNAPSHOT_CRON }, env, ctx);
+  await ctx.drain();
+  const snapshot = await env.ALERTS.get("yard-snapshot:1020", { type: "json" });
+  assert.equal(snapshot.rows.length, 3);
+  assert.deepEqual(snapshot.failedMakes, []);
+
+  upstream.calls.length = 0;
+  installCache();
+  const { body } = await call(worker, env, ctx, "POST", "/api/searchAll", { VehicleMake: "TOYOTA" });
+  const boise = body.yards.find((y) => y.id === "1020");
+  assert.equal(boise.source, "snapshot");
+  assert.ok(!upstream.calls.some((c) => c.yardId === "1020"));
+});
+
+test("a make the snapshot crawl failed on is searched live instead of reported empty", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  upstream.failures["1020:TOYOTA"] = 503;
+  await worker.scheduled({ cron: SNAPSHOT_CRON }, env, ctx);
+  await ctx.drain();
+  const snapshot = await env.ALERTS.get("yard-snapshot:1020", { type: "json" });
+  assert.deepEqual(snapshot.failedMakes, ["TOYOTA"]);
+  assert.equal(snapshot.rows.length, 0);
+
+  delete upstream.failures["1020:TOYOTA"];
+  upstream.calls.length = 0;
+  installCache();
+  const { body } = await call(worker, env, ctx, "POST", "/api/searchAll", { VehicleMake: "TOYOTA" });
+  const boise = body.yards.find((y) => y.id === "1020");
+  assert.equal(boise.source, "live");
+  assert.equal(boise.count, 3);
+  assert.ok(upstream.calls.some((c) => c.yardId === "1020" && c.make === "TOYOTA"));
+});
+
+test("the scheduler tick notifies a webhook about new arrivals only", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const { auth, save } = await alertOwner(worker, env, ctx);
+  const saved = await save({
+    VehicleMake: "TOYOTA",
+    VehicleModel: "CAMRY",
+    webhooks: [{ url: "https://hooks.test/camry" }],
+    schedule: { type: "hourly" },
+  });
+  assert.equal(saved.status, 201);
+  assert.deepEqual(saved.body.alert.schedule, { type: "hourly", hours: 1 });
+
+  // Nothing changed upstream: the sweep stays quiet.
+  installCache();
+  const start = Date.now();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.posts.length, 0);
+
+  upstream.extraRows["1022"] = [{ year: 2007, make: "TOYOTA", model: "CAMRY", row: "18" }];
+  installCache();
+  // Ten minutes later the alert is not due yet.
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + HOUR_MS + 10 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.posts.length, 0);
+
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.posts.length, 1);
+  const payload = JSON.parse(upstream.posts[0].body);
+  assert.equal(payload.event, "new_vehicles");
+  assert.deepEqual(
+    payload.vehicles.map((v) => `${v.yardName} ${v.year} ${v.row}`),
+    ["NAMPA 2007 18"]
+  );
+
+  const { body } = await call(worker, env, ctx, "GET", "/alerts", undefined, auth);
+  assert.match(body.alerts[0].lastNotificationStatus, /webhook/);
+  assert.equal(body.alerts[0].lastCheckedAt, new Date(start + 2 * HOUR_MS).toISOString());
+});
+
+test("only the crawler writes KV sightings, and a car it sees move rows keeps its first sighting", async () => {
+  const env = createEnv({ YARD_REGISTRY: JSON.stringify([{ id: "1022", name: "Nampa", source: "jalopy" }]) });
+  const ctx = createCtx();
+  const { save } = await alertOwner(worker, env, ctx);
+  await save({ VehicleMake: "TOYOTA", VehicleModel: "CAMRY", webhooks: [{ url: "https://hooks.test/camry" }], schedule: "hourly" });
+
+  const start = Date.now();
+  upstream.extraRows["1022"] = [{ year: 2007, make: "TOYOTA", model: "CAMRY", row: "18" }];
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  const seen = await env.ALERTS.get("vehicle-sightings:1022", { type: "json" });
+  const [firstSeenAt] = seen["1022:2007:TOYOTA:CAMRY:18"];
+
+  // The alert is due again but the yard is not: the sweep leaves the sightings alone.
+  const writes = [];
+  const put = env.ALERTS.put.bind(env.ALERTS);
+  env.ALERTS.put = async (key, value, options) => {
+    writes.push(key);
+    return put(key, value, options);
+  };
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 4 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.ok(writes.some((key) => key.startsWith("alert:")));
+  assert.ok(!writes.some((key) => key.startsWith("vehicle-sightings:")));
+
+  upstream.extraRows["1022"] = [{ year: 2007, make: "TOYOTA", model: "CAMRY", row: "42" }];
+  const index = await env.ALERTS.get("yard-snapshot-index", { type: "json" });
+  index["1022"] = new Date(start - 2 * HOUR_MS).toISOString();
+  await put("yard-snapshot-index", JSON.stringify(index));
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 6 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  const moved = (await env.ALERTS.get("vehicle-sightings:1022", { type: "json" }))["1022:2007:TOYOTA:CAMRY:42"];
+  assert.equal(moved[0], firstSeenAt);
+  assert.notEqual(moved[1], firstSeenAt);
+});
+
+test("the sweep fetches each make/model once and records its stats", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const { save } = await alertOwner(worker, env, ctx);
+  const alerts = [
+    { VehicleMake: "TOYOTA", VehicleModel: "CAMRY" },
+    { VehicleMake: "TOYOTA", VehicleModel: "CAMRY", VehicleMinYear: 2000, VehicleMaxYear: 2005 },
+    { VehicleMake: "TOYOTA", VehicleModel: "CAMRY", VehicleMinYear: 2010 },
+    { VehicleMake: "HONDA" },
+  ];
+  for (const [i, alert] of alerts.entries()) {
+    const saved = await save({ ...alert, email: `u${i}@example.com`, schedule: "hourly" });
+    assert.equal(saved.status, 201);
+  }
+
+  upstream.calls.length = 0;
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: Date.now() + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+
+  const [stats] = await env.ALERTS.get("alert-sweep-stats", { type: "json" });
+  assert.equal(stats.alerts, 4);
+  assert.equal(stats.queries, 2);
+  // Boise was crawled on this tick, so it answers both queries from its snapshot.
+  assert.equal(stats.snapshotHits, 2);
+  assert.equal(stats.upstreamFetches + stats.cacheHits, 10);
+  assert.equal(upstream.calls.filter((c) => c.path === "/" && c.make === "TOYOTA" && c.yardId === "1021").length, 1);
+});
+
+async function saveHourlyAlerts(env, ctx, count) {
+  const { save } = await alertOwner(worker, env, ctx);
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const saved = await save({ VehicleMake: "TOYOTA", VehicleModel: "CAMRY", email: `u${i}@example.com`, schedule: "hourly" });
+    ids.push(saved.body.alert.id);
+  }
+  return ids;
+}
+
+test("the scheduler lists schedules from record metadata and loads only the due alerts", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const ids = await saveHourlyAlerts(env, ctx, 3);
+  const reads = [];
+  const get = env.ALERTS.get.bind(env.ALERTS);
+  env.ALERTS.get = async (key, options) => {
+    if (key.startsWith("alert:")) reads.push(key);
+    return get(key, options);
+  };
+
+  // Quiet ticks read no records at all.
+  const start = Date.now();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 10 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 20 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  assert.deepEqual(reads, []);
+
+  const record = await get(`alert:${ids[0]}`);
+  const metadata = { ...env.ALERTS.metadata.get(`alert:${ids[0]}`), schedule: { type: "interval", hours: 4 } };
+  await env.ALERTS.put(`alert:${ids[0]}`, record, { metadata });
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.ok(reads.length > 0);
+  assert.ok(reads.every((key) => key !== `alert:${ids[0]}`));
+});
+
+test("a failing alert does not cost the rest of the sweep its updates", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const ids = await saveHourlyAlerts(env, ctx, 3);
+  const put = env.ALERTS.put.bind(env.ALERTS);
+  env.ALERTS.put = async (key, value) => {
+    if (key === `alert:${ids[1]}`) throw new Error("KV PUT failed: 500");
+    return put(key, value);
+  };
+
+  const tick = Date.now() + 2 * HOUR_MS;
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick }, env, ctx);
+  await ctx.drain();
+  const checked = await Promise.all(ids.map(async (id) => (await env.ALERTS.get(`alert:${id}`, { type: "json" })).lastCheckedAt));
+  const at = new Date(tick).toISOString();
+  assert.deepEqual(checked.map((c) => c === at), [true, false, true]);
+  const [stats] = await env.ALERTS.get("alert-sweep-stats", { type: "json" });
+  assert.equal(stats.failedAlerts, 1);
+  assert.equal(await env.ALERTS.get("alert-sweep-cursor"), null);
+
+  // The failed alert is still due and runs on the next tick.
+  env.ALERTS.put = put;
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick + 10 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  assert.equal((await env.ALERTS.get(`alert:${ids[1]}`, { type: "json" })).lastCheckedAt, new Date(tick + 10 * 60 * 1000).toISOString());
+});
+
+test("a sweep resumes from its stored cursor and skips a batch that keeps dying", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const ids = await saveHourlyAlerts(env, ctx, 2);
+  const startedAt = new Date(Date.now() + HOUR_MS).toISOString();
+  const stats = { startedAt, alerts: 2, ticks: 1, queries: 1, failedAlerts: 0, durationMs: 5 };
+  // A previous tick checked the first alert and stopped.
+  await env.ALERTS.put("alert-sweep-cursor", JSON.stringify({ startedAt, alertIds: ids, position: 1, attempts: 0, stats }));
+
+  const tick = Date.now() + 2 * HOUR_MS;
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick }, env, ctx);
+  await ctx.drain();
+  const [first, second] = await Promise.all(ids.map((id) => env.ALERTS.get(`alert:${id}`, { type: "json" })));
+  assert.notEqual(first.lastCheckedAt, new Date(tick).toISOString());
+  assert.equal(second.lastCheckedAt, new Date(tick).toISOString());
+  const [finished] = await env.ALERTS.get("alert-sweep-stats", { type: "json" });
+  assert.equal(finished.startedAt, startedAt);
+  assert.equal(finished.ticks, 2);
+  assert.equal(finished.queries, 2);
+
+  // Three ticks died inside this batch: it is skipped and a fresh sweep picks up whatever is due.
+  await env.ALERTS.put("alert-sweep-cursor", JSON.stringify({ startedAt, alertIds: ids, position: 0, attempts: 3, stats }));
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick + 10 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  const history = await env.ALERTS.get("alert-sweep-stats", { type: "json" });
+  assert.equal(history.length, 3);
+  assert.deepEqual(history.map((h) => h.alerts), [1, 2, 2]);
+  assert.equal(history[0].startedAt, new Date(tick + 10 * 60 * 1000).toISOString());
+});
+
+test("an alert with model lists, a yard allow-list and row exclusions only reports matching cars", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const { save } = await alertOwner(worker, env, ctx);
+  const saved = await save({
+    VehicleMake: "TOYOTA",
+    VehicleModels: ["camry", "PRIUS"],
+    VehicleMinYear: 2000,
+    yardIds: ["1020", "1022"],
+    excludeRows: ["1-10"],
+    webhooks: [{ url: "https://hooks.test/toyota" }],
+    schedule: "hourly",
+  });
+  assert.equal(saved.status, 201);
+  assert.deepEqual(
+    {
+      VehicleModel: saved.body.alert.VehicleModel,
+      VehicleModels: saved.body.alert.VehicleModels,
+      yardIds: saved.body.alert.yardIds,
+      excludeRows: saved.body.alert.excludeRows,
+    },
+    { VehicleModel: "", VehicleModels: ["CAMRY", "PRIUS"], yardIds: ["1020", "1022"], excludeRows: [{ from: 1, to: 10 }] }
+  );
+
+  upstream.extraRows["1022"] = [
+    { year: 2007, make: "TOYOTA", model: "CAMRY", row: "18" },
+    { year: 2008, make: "TOYOTA", model: "PRIUS", row: "5" }, // excluded row
+    { year: 2003, make: "TOYOTA", model: "4RUNNER", row: "30" }, // model not watched
+  ];
+  upstream.extraRows["1021"] = [{ year: 2006, make: "TOYOTA", model: "CAMRY", row: "44" }]; // yard not allowed
+  upstream.extraRows["1020"] = [{ year: 1999, make: "TOYOTA", model: "CAMRY", row: "50" }]; // too old
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: Date.now() + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+
+  assert.equal(upstream.posts.length, 1);
+  const payload = JSON.parse(upstream.posts[0].body);
+  assert.deepEqual(payload.vehicles.map((v) => `${v.yardName} ${v.model} ${v.row}`), ["NAMPA CAMRY 18"]);
+  assert.equal(payload.title, "Jalopy Alerts: 2000+ TOYOTA CAMRY/PRIUS");
+});
+
+test("POST /alerts validates model lists, yards and row ranges", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const owner = await alertOwner(worker, env, ctx);
+  const save = (extra) => owner.save({ VehicleMake: "HONDA", email: "me@example.com", ...extra });
+
+  assert.equal((await save({ yardIds: ["1020", "9999"] })).body.error, "Unknown yard: 9999");
+  assert.equal((await save({ VehicleModels: ["CIVIC"], excludeModels: ["civic"] })).body.error, "CIVIC is both watched and excluded");
+  assert.match((await save({ includeRows: ["10-1"] })).body.error, /row ranges/);
+  assert.match((await save({ VehicleModels: "CIVIC" })).body.error, /must be an array/);
+
+  const ok = await save({ VehicleModel: "ACCORD", VehicleModels: ["CIVIC"], includeRows: ["7", { from: 20, to: 30 }] });
+  assert.equal(ok.status, 201);
+  assert.deepEqual(ok.body.alert.VehicleModels, ["ACCORD", "CIVIC"]);
+  assert.deepEqual(ok.body.alert.includeRows, [{ from: 7, to: 7 }, { from: 20, to: 30 }]);
+  // The same make with a different model list is not a duplicate.
+  assert.equal((await save({ VehicleModels: ["CIVIC"] })).status, 201);
+  assert.equal((await save({ VehicleModels: ["CIVIC"] })).status, 409);
+});
+
+test("POST /alerts validates schedules, time zones and quiet hours", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const owner = await alertOwner(worker, env, ctx);
+  const save = (extra) => owner.save({ VehicleMake: "TOYOTA", email: "me@example.com", ...extra });
+
+  assert.match((await save({ schedule: { type: "interval", hours: 5 } })).body.error, /schedule.hours/);
+  assert.match((await save({ timeZone: "Mars/Olympus" })).body.error, /timeZone/);
+  assert.match((await save({ quietHours: { start: "22:00", end: "22:00" } })).body.error, /quietHours/);
+
+  const legacy = await save({});
+  assert.deepEqual(
+    { schedule: legacy.body.alert.schedule, timeZone: legacy.body.alert.timeZone, quietHours: legacy.body.alert.quietHours },
+    { schedule: { type: "daily", at: "09:00" }, timeZone: "UTC", quietHours: null }
+  );
+  const custom = await save({
+    VehicleModel: "PRIUS",
+    schedule: { type: "daily", at: "7:30" },
+    timeZone: "America/Boise",
+    quietHours: { start: "22:00", end: "07:00" },
+  });
+  assert.equal(custom.status, 201);
+  assert.deepEqual(custom.body.alert.schedule, { type: "daily", at: "07:30" });
+  assert.deepEqual(custom.body.alert.quietHours, { start: "22:00", end: "07:00" });
+});
+
+test("the daily cron no longer sweeps alerts", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  const { auth, save } = await alertOwner(worker, env, ctx);
+  await save({ VehicleMake: "TOYOTA", email: "me@example.com", schedule: "hourly" });
+  installCache();
+  await worker.scheduled({ cron: DAILY_CRON, scheduledTime: Date.now() + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  const { body } = await call(worker, env, ctx, "GET", "/alerts", undefined, auth);
+  assert.equal(body.alerts[0].lastCheckedAt, body.alerts[0].createdAt);
+});
+
+test("unknown cron expressions are ignored", async () => {
+  const env = createEnv();
+  const ctx = createCtx();
+  await worker.scheduled({ cron: "0 0 1 1 *" }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.calls.length, 0);
+});
+
+test("the daily health check records each yard and tells the admin when one breaks", async () => {
+  const env = createEnv({ ADMIN_WEBHOOK_URL: "https://hooks.test/admin" });
+  const ctx = createCtx();
+  await worker.scheduled({ cron: DAILY_CRON }, env, ctx);
+  await ctx.drain();
+  const [first] = await env.ALERTS.get("yard-health:1020", { type: "json" });
+  assert.deepEqual(
+    { status: first.status, makeCount: first.makeCount, probeMake: first.probeMake, rowCount: first.rowCount },
+    { status: "healthy", makeCount: 2, probeMake: "TOYOTA", rowCount: 3 }
+  );
+  assert.equal(upstream.posts.length, 0);
+
+  upstream.failures["1021"] = 500;
+  await worker.scheduled({ cron: DAILY_CRON }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.posts.length, 1);
+  const notice = JSON.parse(upstream.posts[0].body);
+  assert.equal(notice.event, "yard_health");
+  assert.equal(notice.lines.length, 1);
+  assert.match(notice.lines[0], /^CALDWELL: healthy -> broken/);
+
+  // Still broken the next day: no repeat notice.
+  await worker.scheduled({ cron: DAILY_CRON }, env, ctx);
+  await ctx.drain();
+  assert.equal(upstream.posts.length, 1);
+
+  const { body } = await call(worker, env, ctx, "GET", "/api/yards");
+  const caldwell = body.yards.find((y) => y.id === "1021");
+  assert.equal(caldwell.health.status, "broken");
+  assert.equal((await env.ALERTS.get("yard-health:1021", { type: "json" })).length, 3);
+});
+
+test("sign-in links only point at the configured app, and requests are rate-limited", async () => {
+  const email = { ALERT_EMAIL_API_KEY: "key", ALERT_EMAIL_FROM: "alerts@jalopy.test" };
+  const login = (env, headers = {}, address = "me@example.com") =>
+    call(worker, env, createCtx(), "POST", "/alerts/account/login", { email: address }, headers);
+
+  // A caller-supplied Origin is not trusted unless it is on the allow-list.
+  const open = createEnv(email);
+  assert.equal((await login(open, { Origin: "https://evil.test" })).status, 500);
+  const listed = createEnv({ ...email, ALLOWED_ORIGINS: "https://jalopyalerts.com" });
+  assert.equal((await login(listed, { Origin: "https://evil.test" })).status, 500);
+  assert.equal((await login(listed, { Origin: "https://jalopyalerts.com" })).status, 202);
+  assert.match(JSON.parse(upstream.posts.at(-1).body).text, /https:\/\/jalopyalerts\.com\/\?login=/);
+
+  const env = createEnv({ ...email, ALERT_APP_URL: "https://jalopyalerts.com/" });
+  for (let i = 0; i < 5; i++) assert.equal((await login(env, { Origin: "https://evil.test" })).status, 202);
+  assert.ok(upstream.posts.every((p) => !p.body.includes("evil.test")));
+  const limited = await login(env);
+  assert.equal(limited.status, 429);
+  assert.equal((await login(env, {}, "other@example.com")).status, 202);
+
+  // Per client IP, across addresses.
+  const ipEnv = createEnv({ ...email, ALERT_APP_URL: "https://jalopyalerts.com/" });
+  const ip = { "CF-Connecting-IP": "203.0.113.7" };
+  for (let i = 0; i < 20; i++) assert.equal((await login(ipEnv, ip, `user${i}@example.com`)).status, 202);
+  assert.equal((await login(ipEnv, ip, "user20@example.com")).status, 429);
+  assert.equal((await login(ipEnv, { "CF-Connecting-IP": "203.0.113.8" }, "user20@example.com")).status, 202);
+});
+
+test("email digests wait for a confirmed address and go through the configured sender", async () => {
+  // Stand-in for the ALERT_EMAIL_SERVICE binding: records what the http sender hands it.
+  const sent = [];
+  const standIn = {
+    async fetch(url, init) {
+      sent.push({ url, headers: init.headers, message: JSON.parse(init.body) });
+      return new Response("{}", { status: 200 });
+    },
+  };
+  const env = createEnv({
+    ALERT_EMAIL_SERVICE: standIn,
+    ALERT_EMAIL_FROM: "alerts@jalopy.test",
+    ALERT_APP_URL: "https://jalopyalerts.com/",
+  });
+  const ctx = createCtx();
+  const { auth, save } = await alertOwner(worker, env, ctx);
+  const saved = await save({ VehicleMake: "TOYOTA", VehicleModel: "CAMRY", email: "me@example.com", schedule: "hourly" });
+  assert.equal(saved.status, 201);
+  assert.equal(saved.body.alert.emailVerified, false);
+  assert.equal(saved.body.emailConfirmation, "sent");
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].url, "https://api.resend.com/emails");
+  assert.deepEqual([sent[0].message.from, sent[0].message.to], ["alerts@jalopy.test", "me@example.com"]);
+  const link = new URL(sent[0].message.text.match(/https:\/\/jalopyalerts\.com\/\S+/)[0]);
+  const id = link.searchParams.get("alert");
+  assert.equal(id, saved.body.alert.id);
+
+  const start = Date.now();
+  upstream.extraRows["1022"] = [{ year: 2007, make: "TOYOTA", model: "CAMRY", row: "18" }];
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.equal(sent.length, 1);
+  let { body } = await call(worker, env, ctx, "GET", "/alerts", undefined, auth);
+  assert.match(body.alerts[0].lastNotificationStatus, /address not confirmed/);
+
+  const bad = await call(worker, env, ctx, "POST", `/alerts/${id}/email/confirm`, { token: `${link.searchParams.get("confirmEmail")}x` });
+  assert.equal(bad.status, 400);
+  const confirmed = await call(worker, env, ctx, "POST", `/alerts/${id}/email/confirm`, { token: link.searchParams.get("confirmEmail") });
+  assert.equal(confirmed.status, 200);
+  ({ body } = await call(worker, env, ctx, "GET", "/alerts", undefined, auth));
+  assert.equal(body.alerts[0].emailVerified, true);
+
+  upstream.extraRows["1022"].push({ year: 2009, make: "TOYOTA", model: "CAMRY", row: "44" });
+  installCache();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: start + 4 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].message.to, "me@example.com");
+  assert.match(sent[1].message.text, /2009 TOYOTA CAMRY/);
+  assert.match(sent[1].message.text, /44/);
+  assert.ok(!sent[1].message.text.includes("2007"));
+});
@@ -0,0 +1,218 @@
+// Offline stand-ins for the Workers runtime: KV, caches.default and the yard upstreams.
+import { readFileSync } from "node:fs";
+
+export function fixture(path) {
+  return readFileSync(new URL(`../fixtures/${path}`, import.meta.url), "utf8");
+}
+
+export class MemoryKV {
+  constructor() {
+    this.values = new Map();
+    this.metadata = new Map();
+  }
+
+  async get(key, options) {
+    const value = this.values.get(key);
+    if (value === undefined) return null;
+    const type = typeof options === "string" ? options : options?.type;
+    return type === "json" ? JSON.parse(value) : value;
+  }
+
+  // Expiry is not simulated.
+  async put(key, value, { metadata = null } = {}) {
+    this.values.set(key, String(value));
+    this.metadata.set(key, metadata === null ? null : structuredClone(metadata));
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+    this.metadata.delete(key);
+  }
+
+  async list({ prefix = "", cursor, limit = 1000 } = {}) {
+    const names = [...this.values.keys()].filter((k) => k.startsWith(prefix)).sort();
+    const start = cursor ? Number(cursor) : 0;
+    const keys = names.slice(start, start + limit).map((name) => ({ name, metadata: this.metadata.get(name) ?? null }));
+    const done = start + limit >= names.length;
+    return { keys, list_complete: done, cursor: done ? undefined : String(start + limit) };
+  }
+}
+
+export class MemoryCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(request) {
+    return this.entries.get(request.url)?.clone();
+  }
+
+  async put(request, response) {
+    this.entries.set(request.url, response.clone());
+  }
+}
+
+export function installCache() {
+  const cache = new MemoryCache();
+  globalThis.caches = { default: cache };
+  return cache;
+}
+
+function htmlTableRow({ year, make, model, row }) {
+  return `<tr><td>${year}</td><td style="font-weight:700">${make}</td><td style="font-weight:700">${model}</td><td>${row}</td></tr>`;
+}
+
+// Replaces global fetch with the Jalopy, Trusty and Pick-n-Pull sites answered from fixtures. `extraRows` adds
+// vehicles to a yard's search results, `failures` makes a yard (key "<yardId>") or one make's search
+// (key "<yardId>:<MAKE>") answer with that HTTP status, and any other https URL (webhooks) is
+// recorded in `posts` and answered 204.
+export function installUpstream() {
+  const upstream = { calls: [], posts: [], extraRows: {}, failures: {} };
+  const jalopySearch = fixture("jalopy/search-toyota.html");
+  const trustySearch = fixture("trusty/search-honda.html");
+  const trustyHome = readFileSync(new URL("../../trusty/index.html", import.meta.url), "utf8");
+
+  const searchPage = (page, yardId, make, model) => {
+    const template = page === trustySearch ? trustySearch : jalopySearch;
+    const fixtureMake = page === trustySearch ? "HONDA" : "TOYOTA";
+    // Keep the fixture's header and markup; drop rows that don't match the search.
+    let html = template.replace(/<tr>\s*<td>[\s\S]*?<\/tr>/g, (tr) => {
+      if (make !== fixtureMake) return "";
+      return !model || tr.includes(`>${model}<`) ? tr : "";
+    });
+    const extra = (upstream.extraRows[yardId] || []).filter((r) => r.make === make && (!model || r.model === model));
+    html = html.replace(/(<th>ROW<\/th>\s*<\/tr>)/, `$1${extra.map(htmlTableRow).join("")}`);
+    return html;
+  };
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === "string" ? input : input.url);
+    const method = (init.method || "GET").toUpperCase();
+    const isJalopy = url.origin === "https://inventory.pickapartjalopyjungle.com";
+    const isTrusty = url.origin === "https://inventory.trustypickapart.com";
+    if (url.origin === "https://www.picknpull.com") return picknpullResponse(upstream, url);
+
+    if (!isJalopy && !isTrusty) {
+      upstream.posts.push({ url: url.toString(), init, body: init.body ? String(init.body) : "" });
+      return new Response(null, { status: 204 });
+    }
+
+    const form = init.body instanceof FormData ? init.body : new URLSearchParams(init.body ? String(init.body) : "");
+    const yardId = isTrusty ? "trusty" : form.get("YardId") || form.get("yardId");
+    upstream.calls.push({ yardId, path: url.pathname, make: form.get("VehicleMake") || form.get("makeName") });
+    const failure = upstream.failures[yardId] || upstream.failures[`${yardId}:${form.get("VehicleMake")}`];
+    if (failure) return new Response("unavailable", { status: failure });
+
+    if (url.pathname === "/Home/GetMakes") return new Response(fixture("jalopy/makes.json"));
+    if (url.pathname === "/Home/GetModels") {
+      return new Response(form.get("makeName") === "TOYOTA" ? fixture("jalopy/models-toyota.json") : "[]");
+    }
+    if (url.pathname === "/" && method === "GET" && isTrusty) return new Response(trustyHome);
+    if (url.pathname === "/" && method === "POST") {
+      const page = isTrusty ? trustySearch : jalopySearch;
+      return new Response(searchPage(page, yardId, form.get("VehicleMake"), form.get("VehicleModel")));
+    }
+    return new Response("not found", { status: 404 });
+  };
+  return upstream;
+}
+
+// Stand-in for a Cloudflare Queue. The worker sends into it through `send`/`sendBatch`; `drain` hands
+// batches to the worker's queue() handler until it is empty. A message that is retried (or left
+// unacknowledged by a throwing handler) comes back up to `maxRetries` times, then moves to `deadLetter`.
+// Retry delays are not simulated.
+// Pick-n-Pull's JSON API; only make 48 (HONDA) has models and vehicles.
+function picknpullResponse(upstream, url) {
+  upstream.calls.push({ yardId: url.searchParams.get("storeId"), path: url.pathname, make: url.searchParams.get("makeId") });
+  if (url.pathname === "/api/vehicle/makes") return new Response(fixture("picknpull/makes.json"));
+  const models = url.pathname.match(/^\/api\/vehicle\/makes\/(\d+)\/models$/);
+  if (models) return new Response(models[1] === "48" ? fixture("picknpull/models-48.json") : "[]");
+  if (url.pathname === "/api/vehicle/search") {
+    return new Response(url.searchParams.get("makeId") === "48" ? fixture("picknpull/search-48.json") : "[]");
+  }
+  return new Response("not found", { status: 404 });
+}
+
+export class SimulatedQueue {
+  constructor(name, { batchSize = 10, maxRetries = 3, deadLetter = null } = {}) {
+    this.name = name;
+    this.batchSize = batchSize;
+    this.maxRetries = maxRetries;
+    this.deadLetter = deadLetter;
+    this.pending = [];
+    this.acked = [];
+    this.nextId = 1;
+  }
+
+  async send(body) {
+    this.pending.push({ id: String(this.nextId++), body: structuredClone(body), attempts: 1 });
+  }
+
+  async sendBatch(messages) {
+    for (const { body } of messages) await this.send(body);
+  }
+
+  async drain(worker, env, ctx) {
+    while (this.pending.length) {
+      const chunk = this.pending.splice(0, this.batchSize);
+      const outcomes = new Map();
+      const messages = chunk.map((m) => ({
+        id: m.id,
+        timestamp: new Date(),
+        body: structuredClone(m.body),
+        attempts: m.attempts,
+        ack: () => outcomes.set(m, "ack"),
+        retry: () => outcomes.set(m, "retry"),
+      }));
+      const batch = {
+        queue: this.name,
+        messages,
+        ackAll: () => chunk.forEach((m) => outcomes.set(m, "ack")),
+        retryAll: () => chunk.forEach((m) => outcomes.set(m, "retry")),
+      };
+      let threw = false;
+      try {
+        await worker.queue(batch, env, ctx);
+      } catch (err) {
+        threw = true;
+      }
+      for (const m of chunk) {
+        const outcome = outcomes.get(m) || (threw ? "retry" : "ack");
+        if (outcome === "ack") this.acked.push(m);
+        else if (m.attempts > this.maxRetries) await this.deadLetter?.send(m.body);
+        else this.pending.push({ ...m, attempts: m.attempts + 1 });
+      }
+    }
+  }
+}
+
+export function createEnv(overrides = {}) {
+  return { ALERTS: new MemoryKV(), ALERT_SIGNING_SECRET: "test-signing-secret", ...overrides };
+}
+
+export function createCtx() {
+  const pending = [];
+  return {
+    waitUntil: (promise) => pending.push(promise),
+    async drain() {
+      while (pending.length) await pending.shift();
+    },
+  };
+}
+
+export async function call(worker, env, ctx, method, path, body, headers = {}) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = JSON.stringify(body);
+    init.headers["Content-Type"] = "application/json";
+  }
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, init), env, ctx);
+  return { status: response.status, body: await response.json() };
+}
+
+// Creates an alert owner; `save(alert)` POSTs /alerts with the owner's `auth` header.
+export async function alertOwner(worker, env, ctx) {
+  const owner = await call(worker, env, ctx, "POST", "/alerts/owner");
+  const auth = { Authorization: `Bearer ${owner.body.ownerToken}` };
+  return { auth, save: (alert) => call(worker, env, ctx, "POST", "/alerts", alert, auth) };
+}
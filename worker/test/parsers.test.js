@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseInventoryHtml, parseTrustyMakes, parsePicknpullInventory, matchVehicleChanges } from "../worker.js";
+import { fixture } from "./helpers.js";
+
+test("parseInventoryHtml reads a Jalopy results page", () => {
+  const { rows, diagnostics } = parseInventoryHtml(fixture("jalopy/search-toyota.html"));
+  assert.deepEqual(rows, [
+    { year: 2010, make: "TOYOTA", model: "PRIUS", row: "37" },
+    { year: 2004, make: "TOYOTA", model: "CAMRY", row: "12" },
+    { year: 1998, make: "TOYOTA", model: "4RUNNER", row: "5" },
+  ]);
+  assert.deepEqual(diagnostics, []);
+});
+
+test("parseInventoryHtml reads a Trusty results page", () => {
+  const { rows } = parseInventoryHtml(fixture("trusty/search-honda.html"));
+  assert.deepEqual(
+    rows.map((r) => `${r.year} ${r.model} ${r.row}`),
+    ["2003 ACCORD 14", "1999 CIVIC 7", "2006 CR-V 22"]
+  );
+});
+
+test("parseInventoryHtml treats a header-only table as an empty lot", () => {
+  const trustyHome = readFileSync(new URL("../../trusty/index.html", import.meta.url), "utf8");
+  assert.deepEqual(parseInventoryHtml(trustyHome), { rows: [], diagnostics: [] });
+});
+
+test("parseInventoryHtml maps reordered and extra columns by header", () => {
+  const html = `<table class="inv"><thead><tr><th>Make</th><th>Model</th><th>Year</th><th>Row #</th>
+    <th>VIN</th><th>Stock #</th><th>Date Added</th><th>Color</th></tr></thead>
+    <tbody><tr class="odd"><td>FORD</td><td>F&#45;150 &amp; TRAILER</td><td>1999</td><td data-row="4">4</td>
+    <td>1ftrx18w1xka12345</td><td>A-1</td><td>2026-03-04</td><td>RED</td></tr></tbody></table>`;
+  const { rows, diagnostics } = parseInventoryHtml(html);
+  assert.deepEqual(rows, [
+    {
+      year: 1999,
+      make: "FORD",
+      model: "F-150 & TRAILER",
+      row: "4",
+      vin: "1FTRX18W1XKA12345",
+      stockNumber: "A-1",
+      arrivedAt: "2026-03-04T00:00:00.000Z",
+    },
+  ]);
+  assert.deepEqual(diagnostics, ["ignored column(s): Color"]);
+});
+
+test("parseInventoryHtml falls back to the positional layout without headers", () => {
+  const { rows, diagnostics } = parseInventoryHtml(
+    `<table><tr><td>2010</td><td style="font-weight:700">TOYOTA</td><td>PRIUS</td><td>37</td></tr></table>`
+  );
+  assert.deepEqual(rows, [{ year: 2010, make: "TOYOTA", model: "PRIUS", row: "37" }]);
+  assert.match(diagnostics[0], /no header row/);
+});
+
+test("parseInventoryHtml reports skipped rows and fails when none parse", () => {
+  const header = "<tr><th>YEAR</th><th>MAKE</th><th>MODEL</th><th>ROW</th></tr>";
+  const partial = parseInventoryHtml(
+    `<table>${header}<tr><td>2001</td><td>HONDA</td><td>CIVIC</td><td>1</td></tr><tr><td>n/a</td><td>HONDA</td><td>FIT</td><td>2</td></tr></table>`
+  );
+  assert.equal(partial.rows.length, 1);
+  assert.deepEqual(partial.diagnostics, ["1 row(s) skipped: no 4-digit year"]);
+
+  assert.throws(
+    () => parseInventoryHtml(`<table>${header}<tr><td>n/a</td><td>HONDA</td><td>FIT</td><td>2</td></tr></table>`),
+    (err) => err.yardStatus === "parse-failure"
+  );
+  assert.deepEqual(parseInventoryHtml("<html><body>Down for maintenance</body></html>").diagnostics, [
+    "no inventory table in page",
+  ]);
+});
+
+test("parseTrustyMakes reads the car-make select of the captured Trusty page", () => {
+  const makes = parseTrustyMakes(readFileSync(new URL("../../trusty/index.html", import.meta.url), "utf8"));
+  assert.equal(makes.length, 37);
+  assert.equal(makes[0], "ACURA");
+  assert.ok(makes.includes("MERCEDES-BENZ"));
+  assert.ok(!makes.includes(""));
+});
+
+// The picknpull fixtures are hand-built to the shape the adapter expects, not captured from a live store.
+test("parsePicknpullInventory keeps one store's vehicles and notes skipped ones", () => {
+  const { rows, diagnostics } = parsePicknpullInventory(fixture("picknpull/search-48.json"), { storeId: "124" });
+  assert.deepEqual(
+    rows.map((r) => `${r.year} ${r.make} ${r.model} ${r.row}`),
+    ["2004 HONDA CIVIC 12", "1999 HONDA ACCORD 7", "2003 HONDA ELEMENT 40"]
+  );
+  assert.equal(rows[0].vin, "2HGES16564H512345");
+  assert.equal(rows[0].arrivedAt, "2026-09-30T00:00:00.000Z");
+  assert.deepEqual(diagnostics, ["1 vehicle(s) skipped: missing year, make or model"]);
+  assert.throws(() => parsePicknpullInventory("<html>"), (err) => err.yardStatus === "parse-failure");
+});
+
+test("matchVehicleChanges pairs a row move instead of reporting an arrival", () => {
+  const car = { yardId: "1020", yardName: "BOISE", year: 2004, make: "HONDA", model: "CIVIC" };
+  const { added, removed, moved } = matchVehicleChanges(
+    [{ ...car, row: "40" }, { ...car, model: "FIT", row: "3" }],
+    [{ ...car, row: "12" }]
+  );
+  assert.deepEqual(added.map((r) => r.model), ["FIT"]);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(moved.map(({ from, to }) => `${from.row}->${to.row}`), ["12->40"]);
+});
@@ -0,0 +1,133 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+import { SimulatedQueue, alertOwner, createCtx, createEnv, installCache, installUpstream } from "./helpers.js";
+
+const SNAPSHOT_CRON = "*/10 * * * *";
+const HOUR_MS = 60 * 60 * 1000;
+
+let upstream;
+
+beforeEach(() => {
+  installCache();
+  upstream = installUpstream();
+});
+
+function createQueueEnv() {
+  const deadLetter = new SimulatedQueue("jalopy-alert-dead-letter");
+  const evaluate = new SimulatedQueue("jalopy-alert-evaluate", { deadLetter });
+  const deliver = new SimulatedQueue("jalopy-alert-deliver", { deadLetter });
+  const env = createEnv({ ALERT_EVALUATE_QUEUE: evaluate, ALERT_DELIVERY_QUEUE: deliver });
+  return { env, evaluate, deliver, deadLetter };
+}
+
+async function saveCamryAlert(env, ctx) {
+  const { save } = await alertOwner(worker, env, ctx);
+  const saved = await save({
+    VehicleMake: "TOYOTA",
+    VehicleModel: "CAMRY",
+    webhooks: [{ url: "https://hooks.test/camry" }],
+    schedule: "hourly",
+  });
+  return saved.body.alert.id;
+}
+
+test("the tick enqueues due alerts and the consumers evaluate and deliver them", async () => {
+  const { env, evaluate, deliver, deadLetter } = createQueueEnv();
+  const ctx = createCtx();
+  const id = await saveCamryAlert(env, ctx);
+  upstream.extraRows["1022"] = [{ year: 2007, make: "TOYOTA", model: "CAMRY", row: "18" }];
+
+  // The next tick skips the alert while its first message is still queued.
+  const tick = Date.now() + 2 * HOUR_MS;
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick }, env, ctx);
+  await ctx.drain();
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick + 10 * 60 * 1000 }, env, ctx);
+  await ctx.drain();
+  assert.equal(evaluate.pending.length, 1);
+  assert.equal(upstream.posts.length, 0);
+  assert.equal(await env.ALERTS.get("alert-sweep-cursor"), null);
+
+  installCache();
+  await evaluate.drain(worker, env, ctx);
+  assert.equal(evaluate.acked.length, 1);
+  assert.equal(deliver.pending.length, 1);
+  assert.equal(deliver.pending[0].body.kind, "added");
+  const evaluated = await env.ALERTS.get(`alert:${id}`, { type: "json" });
+  assert.equal(evaluated.lastCheckedAt, new Date(tick).toISOString());
+  assert.ok(evaluated.lastSnapshot.some((r) => r.row === "18"));
+
+  await deliver.drain(worker, env, ctx);
+  assert.equal(upstream.posts.length, 1);
+  assert.deepEqual(JSON.parse(upstream.posts[0].body).vehicles.map((v) => v.row), ["18"]);
+  assert.match((await env.ALERTS.get(`alert:${id}`, { type: "json" })).lastNotificationStatus, /webhooks 1\/1/);
+  assert.equal(deadLetter.pending.length, 0);
+
+  // Evaluation cleared the lease, so the next due tick enqueues the alert again.
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: tick + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  assert.equal(evaluate.pending.length, 1);
+});
+
+test("without a delivery queue the evaluate consumer delivers inline", async () => {
+  const { env, evaluate } = createQueueEnv();
+  delete env.ALERT_DELIVERY_QUEUE;
+  const ctx = createCtx();
+  await saveCamryAlert(env, ctx);
+  upstream.extraRows["1020"] = [{ year: 2009, make: "TOYOTA", model: "CAMRY", row: "2" }];
+
+  await worker.scheduled({ cron: SNAPSHOT_CRON, scheduledTime: Date.now() + 2 * HOUR_MS }, env, ctx);
+  await ctx.drain();
+  installCache();
+  await evaluate.drain(worker, env, ctx);
+  assert.equal(upstream.posts.length, 1);
+});
+
+test("a sent notice is acknowledged even when its status write fails", async () => {
+  const { env, deliver, deadLetter } = createQueueEnv();
+  const ctx = createCtx();
+  const id = await saveCamryAlert(env, ctx);
+  await deliver.send({ alertId: id, kind: "removed", vehicles: [{ yardId: "1020", yardName: "BOISE", year: 2004, make: "TOYOTA", model: "CAMRY", row: "12" }] });
+
+  const put = env.ALERTS.put.bind(env.ALERTS);
+  env.ALERTS.put = async (key, value) => {
+    if (key === `alert:${id}`) throw new Error("KV PUT failed: 500");
+    return put(key, value);
+  };
+  await deliver.drain(worker, env, ctx);
+  assert.equal(upstream.posts.length, 1);
+  assert.equal(deliver.acked.length, 1);
+  assert.equal(deadLetter.pending.length, 0);
+});
+
+test("a message that keeps failing is retried, then dead-lettered and recorded on the alert", async () => {
+  const { env, deliver, deadLetter } = createQueueEnv();
+  const ctx = createCtx();
+  const id = await saveCamryAlert(env, ctx);
+  await deliver.send({ alertId: id, kind: "removed", vehicles: [{ yardId: "1020", yardName: "BOISE", year: 2004, make: "TOYOTA", model: "CAMRY", row: "12" }] });
+
+  const get = env.ALERTS.get.bind(env.ALERTS);
+  env.ALERTS.get = async (key, options) => {
+    if (key === `alert:${id}`) throw new Error("KV GET failed: 500");
+    return get(key, options);
+  };
+  await deliver.drain(worker, env, ctx);
+  // One delivery plus three retries, none of which could load the alert.
+  assert.equal(upstream.posts.length, 0);
+  assert.equal(deadLetter.pending.length, 1);
+
+  env.ALERTS.get = get;
+  await deadLetter.drain(worker, env, ctx);
+  const alert = await env.ALERTS.get(`alert:${id}`, { type: "json" });
+  assert.equal(alert.lastQueueFailure.stage, "deliver");
+  assert.equal(alert.lastNotificationStatus, "departure notice dropped after retries");
+});
+
+test("batches from an unknown queue are retried rather than dropped", async () => {
+  const deadLetter = new SimulatedQueue("stray-dlq");
+  const stray = new SimulatedQueue("some-other-queue", { maxRetries: 1, deadLetter });
+  await stray.send({ hello: "world" });
+  await stray.drain(worker, createEnv(), createCtx());
+  assert.equal(stray.acked.length, 0);
+  assert.deepEqual(deadLetter.pending.map((m) => m.body), [{ hello: "world" }]);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectDueAlerts } from "../worker.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = (iso) => new Date(iso);
+
+test("an alert without a schedule keeps the old 09:00 UTC sweep", () => {
+  const legacy = { id: "legacy", createdAt: "2026-10-01T12:00:00.000Z", lastCheckedAt: "2026-10-18T09:00:00.000Z" };
+  assert.deepEqual(selectDueAlerts([legacy], at("2026-10-19T08:50:00Z")), []);
+  assert.deepEqual(selectDueAlerts([legacy], at("2026-10-19T09:00:00Z")).map((s) => s.id), ["legacy"]);
+});
+
+test("interval schedules count from the last check, with a little slack for tick jitter", () => {
+  const alert = { id: "a", schedule: { type: "interval", hours: 3 }, lastCheckedAt: "2026-10-19T06:00:02.000Z" };
+  assert.deepEqual(selectDueAlerts([alert], at("2026-10-19T08:50:00Z")), []);
+  assert.equal(selectDueAlerts([alert], at("2026-10-19T09:00:00Z")).length, 1);
+});
+
+test("daily schedules use the alert's local time", () => {
+  // 07:30 in Boise is 13:30 UTC while daylight saving time is in effect.
+  const alert = {
+    id: "boise",
+    schedule: { type: "daily", at: "07:30" },
+    timeZone: "America/Boise",
+    lastCheckedAt: "2026-10-18T13:30:00.000Z",
+  };
+  assert.deepEqual(selectDueAlerts([alert], at("2026-10-19T13:20:00Z")), []);
+  assert.equal(selectDueAlerts([alert], at("2026-10-19T13:30:00Z")).length, 1);
+  // After the switch back to standard time it is 14:30 UTC.
+  const winter = { ...alert, lastCheckedAt: "2026-11-09T14:30:00.000Z" };
+  assert.deepEqual(selectDueAlerts([winter], at("2026-11-10T14:20:00Z")), []);
+  assert.equal(selectDueAlerts([winter], at("2026-11-10T14:30:00Z")).length, 1);
+});
+
+test("quiet hours hold an alert back until they end", () => {
+  const alert = {
+    id: "night",
+    schedule: { type: "hourly" },
+    timeZone: "America/Boise",
+    quietHours: { start: "22:00", end: "07:00" },
+    lastCheckedAt: "2026-10-19T07:00:00.000Z", // 01:00 in Boise
+  };
+  assert.deepEqual(selectDueAlerts([alert], at("2026-10-19T09:00:00Z")), []); // 03:00 local
+  assert.equal(selectDueAlerts([alert], at("2026-10-19T13:00:00Z")).length, 1); // 07:00 local
+});
+
+test("due alerts run most overdue first, capped per tick", () => {
+  const now = at("2026-10-19T12:00:00Z");
+  const alerts = Array.from({ length: 60 }, (_, i) => ({
+    id: `a${i}`,
+    schedule: { type: "hourly" },
+    lastCheckedAt: new Date(now.getTime() - HOUR_MS - i * 60 * 1000).toISOString(),
+  }));
+  const due = selectDueAlerts(alerts, now);
+  assert.equal(due.length, 50);
+  assert.equal(due[0].id, "a59");
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createKvAlertStore } from "../worker.js";
+import { MemoryKV } from "./helpers.js";
+
+const alert = (id, ownerKey, createdAt) => ({ id, ownerKey, createdAt, vehicleMake: "TOYOTA" });
+
+test("each alert is its own record, listed per owner through the owner index", async () => {
+  const kv = new MemoryKV();
+  const store = createKvAlertStore(kv);
+  await store.put(alert("b", "owner-1", "2026-10-02T00:00:00.000Z"));
+  await store.put(alert("a", "owner-1", "2026-10-01T00:00:00.000Z"));
+  await store.put(alert("c", "owner-2", "2026-10-03T00:00:00.000Z"));
+
+  assert.deepEqual([...kv.values.keys()].sort(), [
+    "alert-by-owner:owner-1:a",
+    "alert-by-owner:owner-1:b",
+    "alert-by-owner:owner-2:c",
+    "alert:a",
+    "alert:b",
+    "alert:c",
+  ]);
+  assert.equal(await store.countAll(), 3);
+  assert.deepEqual((await store.listByOwner("owner-1")).map((r) => r.id), ["a", "b"]);
+  assert.deepEqual((await store.listByOwner("owner-2")).map((r) => r.id), ["c"]);
+  assert.equal((await store.get("c")).vehicleMake, "TOYOTA");
+});
+
+test("changing an alert's owner moves its index entry, and delete removes both keys", async () => {
+  const kv = new MemoryKV();
+  const store = createKvAlertStore(kv);
+  await store.put(alert("a", "owner-1", "2026-10-01T00:00:00.000Z"));
+
+  const moved = await store.update("a", (r) => ({ ...r, ownerKey: "owner-2" }));
+  assert.equal(moved.ownerKey, "owner-2");
+  assert.deepEqual(await store.listByOwner("owner-1"), []);
+  assert.deepEqual((await store.listByOwner("owner-2")).map((r) => r.id), ["a"]);
+  assert.equal(await store.update("missing", (r) => r), null);
+
+  await store.delete("a");
+  assert.deepEqual([...kv.values.keys()], []);
+});
+
+test("a stale index entry without a matching record is ignored", async () => {
+  const kv = new MemoryKV();
+  const store = createKvAlertStore(kv);
+  await store.put(alert("a", "owner-1", "2026-10-01T00:00:00.000Z"));
+  await kv.put("alert-by-owner:owner-1:gone", "");
+  await kv.put("alert:b", JSON.stringify(alert("b", "owner-2")));
+  await kv.put("alert-by-owner:owner-1:b", "");
+
+  assert.deepEqual((await store.listByOwner("owner-1")).map((r) => r.id), ["a"]);
+});
+
+test("the legacy single-blob registry is split into per-alert records once", async () => {
+  const kv = new MemoryKV();
+  await kv.put("saved-searches", JSON.stringify([alert("a", "owner-1"), alert("b", "owner-2"), { make: "no id" }]));
+  const store = createKvAlertStore(kv);
+
+  assert.equal(await store.migrateLegacy(), 2);
+  assert.equal(await kv.get("saved-searches"), null);
+  assert.deepEqual((await store.listAll()).map((r) => r.id).sort(), ["a", "b"]);
+  assert.deepEqual((await store.listByOwner("owner-2")).map((r) => r.id), ["b"]);
+  assert.equal(await store.migrateLegacy(), 0);
+});
+
+test("schedule fields ride on the record keys and leases have keys of their own", async () => {
+  const kv = new MemoryKV();
+  const store = createKvAlertStore(kv);
+  await store.put({ ...alert("a", "owner-1", "2026-10-01T00:00:00.000Z"), schedule: { type: "hourly", hours: 1 } });
+  // Saved before schedule metadata existed.
+  await kv.put("alert:b", JSON.stringify({ ...alert("b", "owner-1", "2026-10-02T00:00:00.000Z"), timeZone: "America/Boise" }));
+
+  const reads = [];
+  const get = kv.get.bind(kv);
+  kv.get = async (key, options) => {
+    reads.push(key);
+    return get(key, options);
+  };
+  assert.deepEqual(await store.listSchedules(), [
+    {
+      id: "a",
+      createdAt: "2026-10-01T00:00:00.000Z",
+      schedule: { type: "hourly", hours: 1 },
+      timeZone: null,
+      quietHours: null,
+      lastCheckedAt: null,
+      enqueuedAt: null,
+    },
+    {
+      id: "b",
+      createdAt: "2026-10-02T00:00:00.000Z",
+      schedule: null,
+      timeZone: "America/Boise",
+      quietHours: null,
+      lastCheckedAt: null,
+      enqueuedAt: null,
+    },
+  ]);
+  assert.deepEqual(reads, ["alert:b"]);
+
+  // Leasing writes one key per alert and never touches the records.
+  const writes = [];
+  const put = kv.put.bind(kv);
+  kv.put = async (key, value, options) => {
+    writes.push(key);
+    return put(key, value, options);
+  };
+  await store.setEnqueuedAt(["a", "b"], "2026-10-19T10:00:00.000Z");
+  assert.deepEqual(writes, ["alert-lease:a", "alert-lease:b"]);
+  await store.update("a", (r) => ({ ...r, lastCheckedAt: "2026-10-19T10:00:00.000Z" }));
+  await store.setEnqueuedAt(["a"], null);
+  await store.delete("b");
+
+  reads.length = 0;
+  const schedules = await store.listSchedules();
+  assert.deepEqual(reads, []);
+  assert.deepEqual(schedules.map((s) => [s.id, s.lastCheckedAt, s.enqueuedAt]), [["a", "2026-10-19T10:00:00.000Z", null]]);
+  assert.equal(await kv.get("alert-lease:b"), null);
+});
+
+test("each alert keeps its own capped inbox, and a shared inbox is split on first read", async () => {
+  const kv = new MemoryKV();
+  const store = createKvAlertStore(kv);
+  const endpoint = "https://push.test/sub-1";
+  const at = (i) => new Date(Date.UTC(2026, 9, 1, 0, i)).toISOString();
+  await store.recordNotification(endpoint, { alertId: "quiet", createdAt: at(0), status: "sent", payload: null });
+  for (let i = 1; i <= 60; i++) await store.recordNotification(endpoint, { alertId: "busy", createdAt: at(i), status: "sent", payload: null });
+
+  assert.equal((await store.listNotifications(endpoint, "busy")).length, 50);
+  assert.deepEqual((await store.listNotifications(endpoint, "quiet")).map((e) => e.createdAt), [at(0)]);
+  const all = await store.listNotifications(endpoint);
+  assert.equal(all.length, 51);
+  assert.equal(all[0].createdAt, at(60));
+
+  assert.equal(await store.markNotificationsRead(endpoint, "quiet", null, at(61)), 1);
+  assert.ok((await store.listNotifications(endpoint, "busy")).every((e) => !e.readAt));
+  await store.deleteNotificationsForAlert(endpoint, "busy");
+  assert.equal((await store.listNotifications(endpoint)).length, 1);
+
+  // The old layout: one blob per subscription holding every alert's entries.
+  const sharedKey = [...kv.values.keys()].find((k) => k.startsWith("alert-inbox:")).split(":").slice(0, 2).join(":");
+  const legacy = [
+    { id: "l2", alertId: "busy", createdAt: at(70), readAt: null, status: "sent", payload: null },
+    { id: "l1", alertId: "quiet", createdAt: at(65), readAt: null, status: "sent", payload: null },
+  ];
+  await kv.put(sharedKey, JSON.stringify(legacy));
+  assert.deepEqual((await store.listNotifications(endpoint, "quiet")).map((e) => e.createdAt), [at(65), at(0)]);
+  assert.deepEqual((await store.listNotifications(endpoint, "busy")).map((e) => e.id), ["l2"]);
+  assert.equal(await kv.get(sharedKey), null);
+});
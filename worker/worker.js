@@ -3,31 +3,152 @@
 
 const JALOPY_UPSTREAM = "https://inventory.pickapartjalopyjungle.com";
 const TRUSTY_UPSTREAM = "https://inventory.trustypickapart.com";
-// Daily alert sweep at 09:00 UTC (2:00 a.m. MST) to avoid future schedule drift.
-const DAILY_ALERT_CRON = "0 9 * * *";
-
+const PICKNPULL_UPSTREAM = "https://www.picknpull.com";
+// Daily yard health check at 09:00 UTC (2:00 a.m. MST); alerts run on their own schedules.
+const DAILY_HEALTH_CRON = "0 9 * * *";
+// Snapshot crawler tick: each tick crawls the yard whose snapshot is oldest, once it is due. The same
+// tick runs the alert scheduler.
+const SNAPSHOT_CRAWL_CRON = "*/10 * * * *";
+const SNAPSHOT_INTERVAL_SECONDS = 60 * 60;
+const SNAPSHOT_YARDS_PER_TICK = 1;
+// Per-alert schedules: hourly, every N hours or daily at a local time. Alerts saved before schedules
+// existed keep the old 09:00 UTC sweep. At most MAX_ALERTS_PER_TICK due alerts run per tick, most
+// overdue first; the slack lets a run that lands just after its tick still count for the next one.
+const ALERT_SCHEDULE_TYPES = new Set(["hourly", "interval", "daily"]);
+const ALERT_INTERVAL_HOURS = new Set([1, 2, 3, 4, 6, 8, 12]);
+const DEFAULT_ALERT_SCHEDULE = { type: "daily", at: "09:00" };
+const DEFAULT_ALERT_TIME_ZONE = "UTC";
+const MAX_ALERTS_PER_TICK = 50;
+const ALERT_SCHEDULE_SLACK_MS = 5 * 60 * 1000;
+// Per-sweep counters (queries issued, where yard rows came from, duration); the last N are kept.
+const SWEEP_STATS_KV_KEY = "alert-sweep-stats";
+const SWEEP_STATS_KEPT = 50;
+// A sweep resumes from a persisted cursor; progress is committed every SWEEP_BATCH_SIZE alerts. A tick
+// stops starting alerts after SWEEP_TIME_BUDGET_MS, and a batch that fails to commit
+// SWEEP_BATCH_MAX_ATTEMPTS ticks running is skipped.
+const SWEEP_CURSOR_KV_KEY = "alert-sweep-cursor";
+const SWEEP_BATCH_SIZE = 10;
+const SWEEP_TIME_BUDGET_MS = 30 * 1000;
+const SWEEP_BATCH_MAX_ATTEMPTS = 3;
+// KV allows one write per key per second, so consecutive sweep writes to a key are spaced this far apart.
+const SWEEP_WRITE_GAP_MS = 1000;
+// Cloudflare Queues (optional): queue names as configured in wrangler.toml, consumed by `queue()`.
+const ALERT_EVALUATE_QUEUE = "jalopy-alert-evaluate";
+const ALERT_DELIVERY_QUEUE = "jalopy-alert-deliver";
+const ALERT_DEAD_LETTER_QUEUE = "jalopy-alert-dead-letter";
+const QUEUE_SEND_BATCH_MAX = 100;
+const QUEUE_RETRY_BASE_SECONDS = 30;
+const QUEUE_RETRY_MAX_SECONDS = 15 * 60;
+// An enqueued alert is leased: later ticks skip it until its evaluation finishes or this long has passed.
+const ALERT_QUEUE_LEASE_MS = 60 * 60 * 1000;
+// Older snapshots are ignored and searches go back to live upstream calls.
+const SNAPSHOT_MAX_AGE_SECONDS = 6 * 60 * 60;
+const YARD_SNAPSHOT_KV_PREFIX = "yard-snapshot:";
+const YARD_SNAPSHOT_INDEX_KV_KEY = "yard-snapshot-index";
+// KV sighting history: one map per yard of inventoryKey -> [firstSeenAt, lastSeenAt], written by crawls only.
+const VEHICLE_SIGHTINGS_KV_PREFIX = "vehicle-sightings:";
+// KV time-to-crush aggregates per yard: make -> { departures, totalDays }.
+const CRUSH_STATS_KV_PREFIX = "crush-stats:";
+const SIGHTING_RETENTION_DAYS = 90;
+// Daily yard health checks: the last N per yard are kept, and the probe search uses the first of these
+// makes the yard lists (unless the registry sets `probeMake`).
+const YARD_HEALTH_KV_PREFIX = "yard-health:";
+const YARD_HEALTH_HISTORY_KEPT = 30;
+const HEALTH_PROBE_MAKES = ["TOYOTA", "FORD", "CHEVROLET", "HONDA"];
+const MAX_ROW_MOVES_KEPT = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Legacy single-blob registry; migrated into per-alert records on first access.
 const SAVED_SEARCHES_KV_KEY = "saved-searches";
+const ALERT_RECORD_KV_PREFIX = "alert:";
+const ALERT_OWNER_INDEX_KV_PREFIX = "alert-by-owner:";
+// KV queue leases: one key per enqueued alert, so enqueuing and evaluating alerts never share a write.
+const ALERT_LEASE_KV_PREFIX = "alert-lease:";
 const VAPID_KEYS_KV_KEY = "alert-vapid-keys";
 const MAX_ALERTS_TOTAL = 500;
 const MAX_ALERTS_PER_OWNER = 25;
+// Alert criteria beyond make/model/years: model lists, model exclusions, a yard allow-list and row ranges.
+const MAX_CRITERIA_ENTRIES = 10;
 const ALERT_ROUTE_PREFIX = "/alerts";
-
-const YARDS = [
-  { id: "1020", name: "BOISE", upstream: JALOPY_UPSTREAM, kind: "jalopy" },
-  { id: "1021", name: "CALDWELL", upstream: JALOPY_UPSTREAM, kind: "jalopy" },
-  { id: "1119", name: "GARDEN CITY", upstream: JALOPY_UPSTREAM, kind: "jalopy" },
-  { id: "1022", name: "NAMPA", upstream: JALOPY_UPSTREAM, kind: "jalopy" },
-  { id: "1099", name: "TWIN FALLS", upstream: JALOPY_UPSTREAM, kind: "jalopy" },
-  { id: "trusty", name: "TRUSTY'S", upstream: TRUSTY_UPSTREAM, kind: "trusty" },
+const ALERT_INBOX_ROUTE = /^\/alerts\/([^/]+)\/notifications(\/read)?$/;
+const NOTIFICATION_INBOX_KV_PREFIX = "alert-inbox:";
+const ALERT_EMAIL_ROUTE = /^\/alerts\/([^/]+)\/email\/(confirm|resend)$/;
+// Owner tokens: "v1.<ownerId>.<HMAC-SHA256(ALERT_SIGNING_SECRET, ownerId)>", sent as a Bearer token.
+const OWNER_TOKEN_VERSION = "v1";
+// Notification inbox entries kept per alert on each subscription.
+const MAX_INBOX_ENTRIES = 50;
+// Magic-link sign-in tokens: "ml1.<base64url JSON {email, exp, nonce}>.<HMAC>", single use.
+const LOGIN_TOKEN_VERSION = "ml1";
+const LOGIN_TOKEN_TTL_SECONDS = 15 * 60;
+const ACCOUNT_ROUTE_PREFIX = "/alerts/account";
+const ACCOUNT_KV_PREFIX = "account:";
+const ACCOUNT_EMAIL_KV_PREFIX = "account-email:";
+const SUBSCRIPTION_KV_PREFIX = "alert-subscription:";
+const LOGIN_NONCE_KV_PREFIX = "login-nonce:";
+// Email confirmation tokens: "ec1.<base64url JSON {alertId, email, exp}>.<HMAC>". Digests only go to
+// confirmed addresses (or the signed-in account's own email).
+const EMAIL_CONFIRM_TOKEN_VERSION = "ec1";
+const EMAIL_CONFIRM_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Sign-in link requests allowed per email and per client IP in each window.
+const LOGIN_ATTEMPTS_KV_PREFIX = "login-attempts:";
+const LOGIN_RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+const LOGIN_RATE_LIMIT_PER_EMAIL = 5;
+const LOGIN_RATE_LIMIT_PER_IP = 20;
+const MAX_DEVICES_PER_OWNER = 10;
+const DEFAULT_EMAIL_API_URL = "https://api.resend.com/emails";
+const EMAIL_DIGEST_MAX_ROWS = 200;
+const WEBHOOK_FORMATS = new Set(["json", "discord", "slack", "ntfy"]);
+const MAX_WEBHOOKS_PER_ALERT = 3;
+const MAX_WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_RETRY_BASE_MS = 500;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_SIGNATURE_HEADER = "X-JalopyAlerts-Signature";
+const WEBHOOK_TIMESTAMP_HEADER = "X-JalopyAlerts-Timestamp";
+
+// Web Push limits: encrypted body <= 4096 bytes, of which 86 are the aes128gcm header.
+const MAX_PUSH_BODY_BYTES = 4096;
+const PUSH_HEADER_BYTES = 86;
+const MAX_PUSH_PLAINTEXT_BYTES = MAX_PUSH_BODY_BYTES - PUSH_HEADER_BYTES - 16 - 1;
+const PUSH_BODY_VEHICLE_LINES = 5;
+
+// Per-yard budget for aggregation endpoints; a slower yard is reported as "timeout".
+const YARD_TIMEOUT_MS = 15000;
+const UPSTREAM_TIMEOUT_MS = 10000;
+// Inventory cache: fresh for 5 minutes, then served stale while a refresh runs. The edge copy is kept
+// for a day; a last-known-good copy in D1/KV outlives it for when upstream is down.
+const INVENTORY_FRESH_SECONDS = 300;
+const INVENTORY_EDGE_TTL_SECONDS = 24 * 60 * 60;
+const INVENTORY_LKG_TTL_SECONDS = 7 * 24 * 60 * 60;
+const INVENTORY_LKG_KV_PREFIX = "inventory-lkg:";
+// A stored copy with the same rows is only rewritten once it is this old, so its fetchedAt may lag by as much.
+const INVENTORY_LKG_REWRITE_SECONDS = 60 * 60;
+
+// Built-in yard registry; `YARD_REGISTRY` (JSON env var) or the `yard-registry` KV key replaces it.
+const DEFAULT_YARDS = [
+  { id: "1020", name: "BOISE", source: "jalopy" },
+  { id: "1021", name: "CALDWELL", source: "jalopy" },
+  { id: "1119", name: "GARDEN CITY", source: "jalopy" },
+  { id: "1022", name: "NAMPA", source: "jalopy" },
+  { id: "1099", name: "TWIN FALLS", source: "jalopy" },
+  { id: "trusty", name: "TRUSTY'S", source: "trusty" },
 ];
 
+const YARD_REGISTRY_KV_KEY = "yard-registry";
+const YARD_REGISTRY_CACHE_MS = 5 * 60 * 1000;
+
 // Only these are forwarded upstream as-is:
 const PASSTHRU_PATHS = new Set(["/", "/Home/GetMakes", "/Home/GetModels"]);
 
 // These are handled by the worker (not forwarded):
-const API_PATHS = new Set(["/api/searchAll", "/api/makesAll", "/api/modelsAll"]);
+const API_PATHS = new Set(["/api/searchAll", "/api/makesAll", "/api/modelsAll", "/api/yards"]);
 
 let cachedVapidKeys = null;
+let legacyMigrationChecked = false;
+let d1SchemaReady = false;
+let cachedYardRegistry = null;
+
+// Helpers the offline test suite (worker/test) calls directly; the runtime only uses the default export.
+export { parseInventoryHtml, parseTrustyMakes, parsePicknpullInventory, matchVehicleChanges, selectDueAlerts, createKvAlertStore };
 
 export default {
   async fetch(request, env, ctx) {
@@ -44,6 +165,27 @@ export default {
       if (url.pathname === `${ALERT_ROUTE_PREFIX}/notification` && request.method === "POST") {
         return await handleNotificationPoll(request, env, allowedOrigin);
       }
+      if (url.pathname === `${ALERT_ROUTE_PREFIX}/owner` && request.method === "POST") {
+        return await handleOwnerToken(request, env, allowedOrigin);
+      }
+      if (url.pathname === `${ALERT_ROUTE_PREFIX}/claim` && request.method === "POST") {
+        return await handleClaimAlerts(request, env, allowedOrigin);
+      }
+      if (url.pathname === `${ALERT_ROUTE_PREFIX}/subscription` && request.method === "POST") {
+        return await handleSubscriptionSync(request, env, allowedOrigin);
+      }
+      if (url.pathname === ACCOUNT_ROUTE_PREFIX || url.pathname.startsWith(`${ACCOUNT_ROUTE_PREFIX}/`)) {
+        return await handleAccount(request, env, allowedOrigin);
+      }
+      const emailMatch = url.pathname.match(ALERT_EMAIL_ROUTE);
+      if (emailMatch && request.method === "POST") {
+        return await handleAlertEmail(request, env, decodeURIComponent(emailMatch[1]), emailMatch[2], allowedOrigin);
+      }
+      const inboxMatch = url.pathname.match(ALERT_INBOX_ROUTE);
+      if (inboxMatch) {
+        const action = inboxMatch[2] ? "read" : "list";
+        return await handleAlertNotifications(request, env, decodeURIComponent(inboxMatch[1]), action, allowedOrigin);
+      }
       return await handleAlerts(request, env, allowedOrigin);
     } catch (err) {
       return json({ error: String(err?.message || err) }, 500, {}, allowedOrigin);
@@ -54,13 +196,16 @@ export default {
     if (API_PATHS.has(url.pathname)) {
       try {
         if (url.pathname === "/api/searchAll") {
-          return await handleSearchAll(request, allowedOrigin);
+          return await handleSearchAll(request, env, ctx, allowedOrigin);
         }
         if (url.pathname === "/api/makesAll") {
-          return await handleMakesAll(request, allowedOrigin);
+          return await handleMakesAll(request, env, allowedOrigin);
         }
         if (url.pathname === "/api/modelsAll") {
-          return await handleModelsAll(request, allowedOrigin);
+          return await handleModelsAll(request, env, allowedOrigin);
+        }
+        if (url.pathname === "/api/yards") {
+          return await handleYards(request, env, allowedOrigin);
         }
         return json({ error: "Not found" }, 404, {}, allowedOrigin);
       } catch (err) {
@@ -96,14 +241,38 @@ export default {
     });
   },
 
-  // Scheduled alerts refresh (runs daily at 09:00 UTC).
+  // Snapshot crawler and due alerts, swept inline or enqueued (every 10 minutes); yard health checks
+  // (daily at 09:00 UTC).
   async scheduled(event, env, ctx) {
-    if (event.cron && event.cron !== DAILY_ALERT_CRON) return; // ignore any stale cron triggers
-    ctx.waitUntil(rerunSavedSearches(env));
+    if (event.cron === SNAPSHOT_CRAWL_CRON) {
+      // Crawl first so due alerts read the fresh snapshot.
+      ctx.waitUntil(
+        crawlDueYardSnapshots(env)
+          .catch((err) => console.error("snapshot crawl failed", { error: err }))
+          .then(() => {
+            const now = new Date(event.scheduledTime || Date.now());
+            return env.ALERT_EVALUATE_QUEUE ? enqueueDueAlerts(env, { now }) : rerunSavedSearches(env, { now });
+          })
+          .catch((err) => console.error("due alert dispatch failed", { error: err }))
+      );
+      return;
+    }
+    if (event.cron && event.cron !== DAILY_HEALTH_CRON) return; // ignore any stale cron triggers
+    ctx.waitUntil(checkYardHealth(env).catch((err) => console.error("yard health check failed", { error: err })));
+  },
+
+  // Alert evaluate/deliver consumers and the dead-letter queue (see enqueueDueAlerts).
+  async queue(batch, env) {
+    if (batch.queue === ALERT_EVALUATE_QUEUE) return await handleEvaluateBatch(batch, env);
+    if (batch.queue === ALERT_DELIVERY_QUEUE) return await handleDeliveryBatch(batch, env);
+    if (batch.queue === ALERT_DEAD_LETTER_QUEUE) return await handleDeadLetters(batch, env);
+    // Retried rather than dropped, so a misnamed queue ends up on its dead-letter queue.
+    console.error("message batch from unknown queue", { queue: batch.queue, count: batch.messages.length });
+    batch.retryAll();
   },
 };
 
-async function handleSearchAll(request, allowedOrigin = "*") {
+async function handleSearchAll(request, env, ctx, allowedOrigin = "*") {
   if (request.method !== "POST") return json({ error: "POST only" }, 405, {}, allowedOrigin);
 
   const params = await readBodyParams(request);
@@ -113,22 +282,15 @@ async function handleSearchAll(request, allowedOrigin = "*") {
   if (!VehicleMake) return json({ error: "VehicleMake is required" }, 400, {}, allowedOrigin);
 
   // Fan out (limit concurrency to be polite)
-  const jobs = YARDS.map((y) => async () => {
-    const rows = await fetchAndParseInventory({
-      yardId: y.id,
-      yardName: y.name,
-      upstream: y.upstream,
-      kind: y.kind,
-      VehicleMake,
-      VehicleModel,
-    });
-    return rows;
+  const snapshots = createSnapshotReader(env);
+  const { values: all, statuses: yardStatuses } = await runYardPool(await getYards(env), async (y) => {
+    const { rows, ...meta } = await searchYardInventory(y, { VehicleMake, VehicleModel }, { env, ctx, snapshots });
+    return { value: rows, ...meta };
   });
-
-  const all = await runPool(jobs, 2); // <= keep low to avoid hammering upstream
+  const statuses = await attachCrushStats(yardStatuses, VehicleMake, env);
 
   // Flatten + sort (optional)
-  const results = all.flat().sort((a, b) => {
+  const results = (await attachSightings(all.flat(), env)).sort((a, b) => {
     // group by yard, then year desc
     if (a.yardName !== b.yardName) return a.yardName.localeCompare(b.yardName);
     return (b.year ?? 0) - (a.year ?? 0);
@@ -137,128 +299,491 @@ async function handleSearchAll(request, allowedOrigin = "*") {
   return json(
     {
       query: { VehicleMake, VehicleModel: VehicleModel || null },
-      yards: YARDS.map(({ id, name }) => ({ id, name })),
+      yards: statuses,
+      stale: statuses.some((y) => y.stale),
       count: results.length,
       results,
     },
     200,
     {
-      // light caching to reduce load; tune as needed
-      "Cache-Control": "public, max-age=300",
+      // light caching to reduce load; shorter while any yard is stale so the refresh shows up
+      "Cache-Control": `public, max-age=${statuses.some((y) => y.stale) ? 60 : INVENTORY_FRESH_SECONDS}`,
     },
     allowedOrigin
   );
 }
 
-async function handleMakesAll(request, allowedOrigin = "*") {
+async function handleMakesAll(request, env, allowedOrigin = "*") {
   if (request.method !== "POST") return json({ error: "POST only" }, 405, {}, allowedOrigin);
 
-  const jobs = YARDS.map((y) => async () => {
-    if (y.kind === "trusty") {
-      return await fetchTrustyMakes(y.upstream);
-    }
-    const makes = await postJsonUpstream(y.upstream, "/Home/GetMakes", { yardId: y.id });
-    // upstream returns [{ makeName: "TOYOTA" }, ...]
-    return (Array.isArray(makes) ? makes : []).map((m) => (m?.makeName || "").toString()).filter(Boolean);
+  const { values: lists, statuses } = await runYardPool(await getYards(env), async (y) => {
+    const { makes, cached } = await getYardAdapter(y).listMakes(y);
+    return { value: makes, cached };
   });
 
-  const lists = await runPool(jobs, 2);
   const set = new Set(lists.flat());
   const merged = Array.from(set).sort((a, b) => a.localeCompare(b));
 
   return json(
-    { count: merged.length, makes: merged },
+    { count: merged.length, makes: merged, yards: statuses },
     200,
     { "Cache-Control": "public, max-age=3600" },
     allowedOrigin
   );
 }
 
-async function handleModelsAll(request, allowedOrigin = "*") {
+async function handleModelsAll(request, env, allowedOrigin = "*") {
   if (request.method !== "POST") return json({ error: "POST only" }, 405, {}, allowedOrigin);
 
   const params = await readBodyParams(request);
   const makeName = (params.makeName || params.VehicleMake || params.make || "").toString().trim();
   if (!makeName) return json({ error: "makeName is required" }, 400, {}, allowedOrigin);
 
-  const jobs = YARDS.map((y) => async () => {
-    if (y.kind === "trusty") {
-      const models = await postJsonUpstream(y.upstream, "/Home/GetModels", { makeName, showInventory: true });
-      return (Array.isArray(models) ? models : []).map((m) => (m?.model || "").toString()).filter(Boolean);
-    }
-    const models = await postJsonUpstream(y.upstream, "/Home/GetModels", { yardId: y.id, makeName });
-    // upstream returns [{ model: "PRIUS" }, ...]
-    return (Array.isArray(models) ? models : []).map((m) => (m?.model || "").toString()).filter(Boolean);
-  });
+  const { values: lists, statuses } = await runYardPool(await getYards(env), async (y) => ({
+    value: await getYardAdapter(y).listModels(y, makeName),
+  }));
 
-  const lists = await runPool(jobs, 2);
   const set = new Set(lists.flat());
   const merged = Array.from(set).sort((a, b) => a.localeCompare(b));
 
   return json(
-    { makeName, count: merged.length, models: merged },
+    { makeName, count: merged.length, models: merged, yards: statuses },
     200,
     { "Cache-Control": "public, max-age=3600" },
     allowedOrigin
   );
 }
 
-async function fetchAndParseInventory({ yardId, yardName, upstream, kind, VehicleMake, VehicleModel }) {
+async function handleYards(request, env, allowedOrigin = "*") {
+  if (request.method !== "GET") return json({ error: "GET only" }, 405, {}, allowedOrigin);
+
+  const store = await getSnapshotStore(env);
+  const yards = [];
+  for (const { id, name, source, label } of await getYards(env)) {
+    const [last] = store ? await store.getHealthHistory(id, 1) : [];
+    const health = last ? { status: last.status, checkedAt: last.checkedAt, problems: last.problems } : null;
+    yards.push({ id, name, source, label, health });
+  }
+  return json({ count: yards.length, yards }, 200, { "Cache-Control": "public, max-age=300" }, allowedOrigin);
+}
+
+// ---- Yard registry and source adapters ----
+// A yard is { id, name, source, upstream, label }; `source` picks the adapter that knows how to
+// talk to that upstream. Adding a yard of an existing family is a registry edit, not a code change.
+
+// `YARD_REGISTRY` (JSON array in an env var) wins, then the `yard-registry` KV key, then
+// DEFAULT_YARDS. Invalid entries are dropped; an empty or unreadable registry falls back to the defaults.
+async function getYards(env) {
+  const now = Date.now();
+  if (cachedYardRegistry?.env === env && now - cachedYardRegistry.loadedAt < YARD_REGISTRY_CACHE_MS) {
+    return cachedYardRegistry.yards;
+  }
+  let config = null;
+  try {
+    if (env?.YARD_REGISTRY) {
+      config = typeof env.YARD_REGISTRY === "string" ? JSON.parse(env.YARD_REGISTRY) : env.YARD_REGISTRY;
+    } else {
+      config = await getAlertsKv(env)?.get(YARD_REGISTRY_KV_KEY, { type: "json" });
+    }
+  } catch (err) {
+    console.error("yard registry unreadable; using defaults", { error: err });
+  }
+  const entries = Array.isArray(config) ? config : Array.isArray(config?.yards) ? config.yards : [];
+  const yards = normalizeYardRegistry(entries);
+  cachedYardRegistry = { env, yards: yards.length ? yards : normalizeYardRegistry(DEFAULT_YARDS), loadedAt: now };
+  return cachedYardRegistry.yards;
+}
+
+// Yard names show up in results, pills and notifications, so they must be unique along with ids.
+// `upstreamId` is the yard's id on its upstream site (the Jalopy YardId, a chain's store id) and
+// defaults to `id`.
+function normalizeYardRegistry(entries) {
+  const yards = [];
+  const seen = new Set();
+  for (const entry of entries) {
+    if (!entry || typeof entry !== "object" || entry.enabled === false) continue;
+    const id = normalizeText(entry.id);
+    const name = normalizeText(entry.name || id).toUpperCase();
+    const source = normalizeText(entry.source).toLowerCase();
+    const adapter = SOURCE_ADAPTERS[source];
+    const upstream = normalizeText(entry.upstream || adapter?.defaultUpstream || "").replace(/\/+$/, "");
+    if (!id || seen.has(`id:${id}`) || seen.has(`name:${name}`) || !adapter || !/^https:\/\/[^/]+/i.test(upstream)) {
+      console.error("yard registry entry skipped", { id, source });
+      continue;
+    }
+    seen.add(`id:${id}`).add(`name:${name}`);
+    yards.push({
+      id,
+      name,
+      source,
+      upstream,
+      upstreamId: normalizeText(entry.upstreamId) || id,
+      label: normalizeText(entry.label) || adapter.label(name),
+      probeMake: normalizeText(entry.probeMake).toUpperCase() || null,
+    });
+  }
+  return yards;
+}
+
+function getYardAdapter(y) {
+  const adapter = SOURCE_ADAPTERS[y?.source];
+  if (!adapter) throw new Error(`Unknown yard source: ${y?.source}`);
+  return adapter;
+}
+
+// Every adapter implements:
+//   listMakes(yard)                 -> { makes, cached }; an empty list is a parse failure (every yard has makes)
+//   listModels(yard, makeName)      -> model names
+//   searchInventory(yard, query)    -> { rows, diagnostics }; rows are tagged with yardId/yardName and
+//                                      query is { VehicleMake, VehicleModel }
+//   parse(body)                     -> { rows: [{ year, make, model, row }], diagnostics } from one inventory
+//                                      page or payload; sources that list them add vin, stockNumber and arrivedAt.
+//                                      Diagnostics are short notes on anything odd; a page whose rows all fail
+//                                      to parse throws a parse-failure instead.
+const SOURCE_ADAPTERS = {
+  // Jalopy Jungle: one site for all locations, selected by YardId; makes/models come from JSON endpoints.
+  jalopy: {
+    defaultUpstream: JALOPY_UPSTREAM,
+    label: (name) => `JJ ${name}`,
+    async listMakes(y) {
+      const makes = await postJsonUpstream(y.upstream, "/Home/GetMakes", { yardId: y.upstreamId });
+      // upstream returns [{ makeName: "TOYOTA" }, ...]
+      const names = (Array.isArray(makes) ? makes : []).map((m) => (m?.makeName || "").toString()).filter(Boolean);
+      return { makes: requireParsed(names, "GetMakes returned no makes"), cached: false };
+    },
+    async listModels(y, makeName) {
+      const models = await postJsonUpstream(y.upstream, "/Home/GetModels", { yardId: y.upstreamId, makeName });
+      // upstream returns [{ model: "PRIUS" }, ...]
+      return (Array.isArray(models) ? models : []).map((m) => (m?.model || "").toString()).filter(Boolean);
+    },
+    searchInventory: (y, { VehicleMake, VehicleModel }) =>
+      searchInventoryForm(y, { YardId: y.upstreamId, VehicleMake, VehicleModel }, parseInventoryHtml),
+    parse: parseInventoryHtml,
+  },
+  // Trusty's: a single-yard site; makes only appear in the home page's car-make select.
+  trusty: {
+    defaultUpstream: TRUSTY_UPSTREAM,
+    label: (name) => name,
+    async listMakes(y) {
+      const { makes, cached } = await fetchTrustyMakes(y.upstream);
+      return { makes: requireParsed(makes, "no makes in the car-make select"), cached };
+    },
+    async listModels(y, makeName) {
+      const models = await postJsonUpstream(y.upstream, "/Home/GetModels", { makeName, showInventory: true });
+      return (Array.isArray(models) ? models : []).map((m) => (m?.model || "").toString()).filter(Boolean);
+    },
+    searchInventory: (y, { VehicleMake, VehicleModel }) =>
+      searchInventoryForm(y, { VehicleMake, VehicleModel }, parseInventoryHtml),
+    parse: parseInventoryHtml,
+  },
+  // Pick-n-Pull style chains: one JSON API for every store. Makes and models are addressed by numeric
+  // id, and a search returns vehicles grouped by location, filtered here to the yard's store. No built-in
+  // yard uses it; stores are added through YARD_REGISTRY.
+  picknpull: {
+    defaultUpstream: PICKNPULL_UPSTREAM,
+    label: (name) => `PNP ${name}`,
+    async listMakes(y) {
+      const { makes, cached } = await fetchPicknpullMakes(y.upstream);
+      return { makes: requireParsed(makes.map((m) => m.name), "makes API returned no makes"), cached };
+    },
+    async listModels(y, makeName) {
+      const make = await findPicknpullMake(y.upstream, makeName);
+      return make ? (await fetchPicknpullModels(y.upstream, make.id)).map((m) => m.name) : [];
+    },
+    async searchInventory(y, { VehicleMake, VehicleModel }) {
+      // A make or model the chain doesn't list can't be on the lot.
+      const make = await findPicknpullMake(y.upstream, VehicleMake);
+      if (!make) return { rows: [], diagnostics: [] };
+      const params = new URLSearchParams({ makeId: make.id, storeId: y.upstreamId });
+      if (VehicleModel) {
+        const wanted = normalizeText(VehicleModel).toUpperCase();
+        const model = (await fetchPicknpullModels(y.upstream, make.id)).find((m) => m.name === wanted);
+        if (!model) return { rows: [], diagnostics: [] };
+        params.set("modelId", model.id);
+      }
+      const body = await getUpstreamText(y.upstream, `/api/vehicle/search?${params}`, "application/json");
+      const { rows, diagnostics } = parsePicknpullInventory(body, { storeId: y.upstreamId });
+      return { rows: rows.map((r) => ({ yardId: y.id, yardName: y.name, ...r })), diagnostics };
+    },
+    parse: parsePicknpullInventory,
+  },
+};
+
+// One yard's rows for a make (and optional model): from the crawled snapshot when it is recent
+// enough, otherwise from the live (cached) upstream search.
+async function searchYardInventory(y, { VehicleMake, VehicleModel }, { env = null, ctx = null, snapshots = null } = {}) {
+  const snapshot = snapshots ? await snapshots.get(y.id) : null;
+  const make = normalizeText(VehicleMake).toUpperCase();
+  // A make the crawl failed on is missing from the snapshot, not gone from the lot: ask upstream.
+  const crawlFailed = (snapshot?.failedMakes || []).some((m) => normalizeText(m).toUpperCase() === make);
+  if (snapshot && !isSnapshotExpired(snapshot) && !crawlFailed) {
+    const model = normalizeText(VehicleModel || "").toUpperCase();
+    const rows = snapshot.rows.filter(
+      (r) => normalizeText(r.make).toUpperCase() === make && (!model || normalizeText(r.model).toUpperCase() === model)
+    );
+    return { rows, cached: true, fetchedAt: snapshot.crawledAt, stale: false, source: "snapshot" };
+  }
+  const result = await fetchAndParseInventory(y, { VehicleMake, VehicleModel }, { env, ctx });
+  return { ...result, source: "live" };
+}
+
+// Stale-while-revalidate over two layers: the edge cache, then a last-known-good copy in D1/KV.
+// With `ctx`, a stale edge copy is returned at once and refreshed in the background; without it
+// (the alert sweep) upstream is tried first. Upstream failures fall back to the newest copy and
+// report `stale: true` plus the `failure` that forced it.
+async function fetchAndParseInventory(y, query, { env = null, ctx = null } = {}) {
+  const { VehicleMake, VehicleModel } = query;
+  const yardId = y.id;
+  const lkgKey = inventoryLkgKey({ yardId, VehicleMake, VehicleModel });
   // Cache key (POST-safe) using a synthetic GET request
   const cacheKey = new Request(
-    `https://cache.local/inv?yardId=${encodeURIComponent(yardId)}&source=${encodeURIComponent(
-      kind || ""
+    `https://cache.local/inv?v=2&yardId=${encodeURIComponent(yardId)}&source=${encodeURIComponent(
+      y.source
     )}&make=${encodeURIComponent(VehicleMake)}&model=${encodeURIComponent(VehicleModel || "")}`
   );
   const cache = caches.default;
 
-  const cached = await cache.match(cacheKey);
-  if (cached) {
-    return await cached.json();
+  const hit = await cache.match(cacheKey);
+  const edge = hit ? await hit.json() : null;
+  if (edge && !isInventoryStale(edge)) {
+    return { rows: edge.rows, cached: true, fetchedAt: edge.fetchedAt, stale: false, diagnostics: edge.diagnostics || [] };
   }
 
+  const refresh = async () => {
+    const { rows, diagnostics } = await getYardAdapter(y).searchInventory(y, query);
+    const entry = { rows, diagnostics, fetchedAt: new Date().toISOString() };
+    await cache.put(cacheKey, inventoryCacheResponse(entry));
+    await writeLastKnownGood(env, lkgKey, entry);
+    return entry;
+  };
+
+  if (edge && ctx) {
+    ctx.waitUntil(refresh().catch((err) => console.error("inventory refresh failed", { yardId, error: err })));
+    return { rows: edge.rows, cached: true, fetchedAt: edge.fetchedAt, stale: true, diagnostics: edge.diagnostics || [] };
+  }
+
+  try {
+    const entry = await refresh();
+    return { rows: entry.rows, cached: false, fetchedAt: entry.fetchedAt, stale: false, diagnostics: entry.diagnostics };
+  } catch (err) {
+    const fallback = edge || (await readLastKnownGood(env, lkgKey));
+    if (!fallback) throw err;
+    return { rows: fallback.rows, cached: true, fetchedAt: fallback.fetchedAt, stale: true, failure: err };
+  }
+}
+
+// Posts the search form found on both the Jalopy and Trusty sites and parses the result page.
+async function searchInventoryForm(y, fields, parse) {
   const form = new FormData();
-  if (kind !== "trusty") form.set("YardId", yardId);
-  form.set("VehicleMake", VehicleMake);
-  if (VehicleModel) form.set("VehicleModel", VehicleModel);
+  for (const [k, v] of Object.entries(fields)) if (v) form.set(k, v);
 
-  const upstreamRes = await fetch(upstream + "/", {
-    method: "POST",
-    body: form,
-    headers: {
-      // mimic a normal browser-ish accept header
-      Accept: "text/html,application/xhtml+xml",
-    },
-  });
+  let upstreamRes;
+  try {
+    upstreamRes = await fetch(y.upstream + "/", {
+      method: "POST",
+      body: form,
+      headers: {
+        // mimic a normal browser-ish accept header
+        Accept: "text/html,application/xhtml+xml",
+      },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err?.name === "TimeoutError") throw yardError("timeout", `no response within ${UPSTREAM_TIMEOUT_MS} ms`);
+    throw err;
+  }
 
+  if (!upstreamRes.ok) throw new Error(`Upstream search failed: ${upstreamRes.status}`);
   const html = await upstreamRes.text();
-  const rows = parseInventoryHtml(html).map((r) => ({
-    yardId,
-    yardName,
-    ...r,
-  }));
+  const { rows, diagnostics } = parse(html);
+  return { rows: rows.map((r) => ({ yardId: y.id, yardName: y.name, ...r })), diagnostics };
+}
 
-  const resp = json(rows, 200, { "Cache-Control": "public, max-age=300" });
-  await cache.put(cacheKey, resp.clone());
-  return rows;
+function isInventoryStale(entry) {
+  const fetchedAt = Date.parse(entry?.fetchedAt || "");
+  return !Number.isFinite(fetchedAt) || Date.now() - fetchedAt > INVENTORY_FRESH_SECONDS * 1000;
+}
+
+function inventoryCacheResponse(entry) {
+  return json(entry, 200, { "Cache-Control": `public, max-age=${INVENTORY_EDGE_TTL_SECONDS}` });
+}
+
+function inventoryLkgKey({ yardId, VehicleMake, VehicleModel }) {
+  return [yardId, VehicleMake, VehicleModel || ""].map((p) => normalizeText(p).toUpperCase()).join(":");
+}
+
+// Last-known-good inventory copies: D1 `inventory_cache` when bound, else KV with a week-long TTL.
+async function readLastKnownGood(env, key) {
+  try {
+    const db = await getD1(env);
+    if (db) {
+      const row = await db.prepare("SELECT rows, fetched_at FROM inventory_cache WHERE cache_key = ?").bind(key).first();
+      return row ? { rows: parseJsonOr(row.rows, []), fetchedAt: row.fetched_at } : null;
+    }
+    const kv = getAlertsKv(env);
+    return kv ? await kv.get(`${INVENTORY_LKG_KV_PREFIX}${key}`, { type: "json" }) : null;
+  } catch (err) {
+    console.error("last-known-good read failed", { key, error: err });
+    return null;
+  }
 }
 
+async function writeLastKnownGood(env, key, entry) {
+  const stored = await readLastKnownGood(env, key);
+  const storedAge = Date.parse(entry.fetchedAt) - Date.parse(stored?.fetchedAt || "");
+  if (storedAge < INVENTORY_LKG_REWRITE_SECONDS * 1000 && JSON.stringify(stored.rows) === JSON.stringify(entry.rows)) return;
+  try {
+    const db = await getD1(env);
+    if (db) {
+      await db
+        .prepare(
+          `INSERT INTO inventory_cache (cache_key, rows, fetched_at) VALUES (?, ?, ?)
+           ON CONFLICT(cache_key) DO UPDATE SET rows = excluded.rows, fetched_at = excluded.fetched_at`
+        )
+        .bind(key, JSON.stringify(entry.rows), entry.fetchedAt)
+        .run();
+      return;
+    }
+    const kv = getAlertsKv(env);
+    if (kv) await kv.put(`${INVENTORY_LKG_KV_PREFIX}${key}`, JSON.stringify(entry), { expirationTtl: INVENTORY_LKG_TTL_SECONDS });
+  } catch (err) {
+    console.error("last-known-good write failed", { key, error: err });
+  }
+}
+
+// Header text (upper-cased, punctuation dropped) -> row field. Year, make and model identify the table.
+const INVENTORY_COLUMNS = new Map([
+  ["YEAR", "year"],
+  ["YR", "year"],
+  ["MAKE", "make"],
+  ["MODEL", "model"],
+  ["ROW", "row"],
+  ["ROW NUMBER", "row"],
+  ["VIN", "vin"],
+  ["STOCK", "stockNumber"],
+  ["STOCK NO", "stockNumber"],
+  ["STOCK NUMBER", "stockNumber"],
+  ["DATE", "arrivedAt"],
+  ["DATE ADDED", "arrivedAt"],
+  ["ARRIVED", "arrivedAt"],
+  ["ARRIVAL DATE", "arrivedAt"],
+  ["SET DATE", "arrivedAt"],
+  ["YARD DATE", "arrivedAt"],
+]);
+
+// Finds the inventory table by its header row and maps cells by header name, so extra attributes,
+// reordered or added columns and HTML entities don't lose rows. Pages without a recognizable header
+// fall back to the YEAR, MAKE, MODEL, ROW layout the yards have always used.
 function parseInventoryHtml(html) {
-  // Extract rows like:
-  // <tr><td>2010</td><td style="font-weight:700">TOYOTA</td><td ...>PRIUS</td><td>37</td></tr>
-  const out = [];
-  const re =
-    /<tr>\s*<td>\s*(\d{4})\s*<\/td>\s*<td[^>]*>\s*([^<]+?)\s*<\/td>\s*<td[^>]*>\s*([^<]+?)\s*<\/td>\s*<td>\s*([^<]+?)\s*<\/td>\s*<\/tr>/gim;
-
-  for (const m of html.matchAll(re)) {
-    out.push({
-      year: Number(m[1]),
-      make: m[2].trim(),
-      model: m[3].trim(),
-      row: m[4].trim(),
+  const diagnostics = [];
+  const tables = [...String(html || "").matchAll(/<table\b[^>]*>([\s\S]*?)<\/table>/gi)].map((m) => splitTableRows(m[1]));
+  // A page cut off before </table> still has rows worth reading.
+  if (!tables.length && /<tr\b/i.test(html || "")) tables.push(splitTableRows(html));
+
+  let table = null;
+  for (const rows of tables) {
+    const headerIndex = rows.findIndex((cells) => {
+      const columns = mapInventoryColumns(cells);
+      return "year" in columns && "make" in columns && "model" in columns;
     });
+    if (headerIndex < 0) continue;
+    const header = rows[headerIndex];
+    table = { columns: mapInventoryColumns(header), body: rows.slice(headerIndex + 1) };
+    const unknown = header.filter((text) => text && !INVENTORY_COLUMNS.has(inventoryColumnName(text)));
+    if (unknown.length) diagnostics.push(`ignored column(s): ${unknown.join(", ")}`);
+    if (!("row" in table.columns)) diagnostics.push("no ROW column");
+    break;
   }
-  return out;
+  if (!table) {
+    const body = tables.flat().filter((cells) => /^\d{4}$/.test(cells[0] || ""));
+    if (!body.length) {
+      if (!tables.length) diagnostics.push("no inventory table in page");
+      else diagnostics.push("no table with YEAR, MAKE and MODEL headers");
+      return { rows: [], diagnostics };
+    }
+    diagnostics.push("no header row; assumed YEAR, MAKE, MODEL, ROW columns");
+    table = { columns: { year: 0, make: 1, model: 2, row: 3 }, body };
+  }
+
+  const out = [];
+  let badYear = 0;
+  let noMakeModel = 0;
+  let badDate = 0;
+  for (const cells of table.body) {
+    // Blank rows and single-cell notes ("No vehicles found") aren't vehicles.
+    if (cells.length < 2 || cells.every((c) => !c)) continue;
+    const cell = (field) => (field in table.columns ? cells[table.columns[field]] || "" : "");
+    // Some pages repeat the header row.
+    if (inventoryColumnName(cell("year")) === "YEAR") continue;
+    if (!/^(19|20)\d{2}$/.test(cell("year"))) {
+      badYear++;
+      continue;
+    }
+    const make = cell("make");
+    const model = cell("model");
+    if (!make || !model) {
+      noMakeModel++;
+      continue;
+    }
+    const row = { year: Number(cell("year")), make, model, row: cell("row") };
+    if (cell("vin")) row.vin = cell("vin").toUpperCase();
+    if (cell("stockNumber")) row.stockNumber = cell("stockNumber");
+    if (cell("arrivedAt")) {
+      const arrived = Date.parse(cell("arrivedAt"));
+      if (Number.isFinite(arrived)) row.arrivedAt = new Date(arrived).toISOString();
+      else badDate++;
+    }
+    out.push(row);
+  }
+
+  if (badYear) diagnostics.push(`${badYear} row(s) skipped: no 4-digit year`);
+  if (noMakeModel) diagnostics.push(`${noMakeModel} row(s) skipped: missing make or model`);
+  if (badDate) diagnostics.push(`${badDate} date(s) not understood`);
+  // Rows in the table but none usable means the markup changed, not an empty lot.
+  if (!out.length && (badYear || noMakeModel)) {
+    throw yardError("parse-failure", `inventory table found but no rows parsed (${diagnostics.join("; ")})`);
+  }
+  return { rows: out, diagnostics };
+}
+
+// Cell text per <tr>; tolerant of missing </td>/</tr> and of attributes on any tag.
+function splitTableRows(html) {
+  return html
+    .split(/<tr\b[^>]*>/i)
+    .slice(1)
+    .map((tr) => {
+      const inner = tr.replace(/<\/tr\s*>[\s\S]*$/i, "");
+      return [...inner.matchAll(/<t[dh]\b[^>]*>([\s\S]*?)(?=<t[dh]\b|$)/gi)].map((m) => htmlText(m[1]));
+    });
+}
+
+function mapInventoryColumns(cells) {
+  const columns = {};
+  cells.forEach((text, i) => {
+    const field = INVENTORY_COLUMNS.get(inventoryColumnName(text));
+    if (field && !(field in columns)) columns[field] = i;
+  });
+  return columns;
+}
+
+function inventoryColumnName(text) {
+  return text.toUpperCase().replace(/[^A-Z0-9]+/g, " ").trim();
+}
+
+function htmlText(html) {
+  return decodeHtmlEntities(html.replace(/<br\s*\/?>/gi, " ").replace(/<[^>]*>/g, ""))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, name) => {
+    if (name[0] !== "#") return HTML_ENTITIES[name.toLowerCase()] ?? m;
+    const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
 }
 
 async function fetchTrustyMakes(upstreamBase) {
@@ -266,7 +791,7 @@ async function fetchTrustyMakes(upstreamBase) {
   const cache = caches.default;
   const cached = await cache.match(cacheKey);
   if (cached) {
-    return await cached.json();
+    return { makes: await cached.json(), cached: true };
   }
 
   const r = await fetch(upstreamBase + "/", {
@@ -275,14 +800,17 @@ async function fetchTrustyMakes(upstreamBase) {
       Accept: "text/html,application/xhtml+xml",
     },
   });
+  if (!r.ok) throw new Error(`Upstream makes page failed: ${r.status}`);
   const html = await r.text();
   const makes = parseTrustyMakes(html);
+  // Don't cache an empty list; it is almost certainly a broken page.
+  if (!makes.length) return { makes, cached: false };
   const resp = new Response(JSON.stringify(makes), {
     status: 200,
     headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
   });
   await cache.put(cacheKey, resp.clone());
-  return makes;
+  return { makes, cached: false };
 }
 
 function parseTrustyMakes(html) {
@@ -292,13 +820,113 @@ function parseTrustyMakes(html) {
   const makes = [];
   const re = /<option[^>]*value=["']?([^"'>]*)["']?[^>]*>/gi;
   for (const match of optionsHtml.matchAll(re)) {
-    const value = (match[1] || "").trim();
+    const value = decodeHtmlEntities(match[1] || "").trim();
     if (!value) continue;
     makes.push(value);
   }
   return makes;
 }
 
+// Makes are the same for every store of a chain, so they're cached per upstream like Trusty's.
+async function fetchPicknpullMakes(upstreamBase) {
+  const cacheKey = new Request(`https://cache.local/picknpull-makes?upstream=${encodeURIComponent(upstreamBase)}`);
+  const cache = caches.default;
+  const cached = await cache.match(cacheKey);
+  if (cached) {
+    return { makes: await cached.json(), cached: true };
+  }
+
+  const list = await getJsonUpstream(upstreamBase, "/api/vehicle/makes");
+  // upstream returns [{ makeID: 48, makeName: "HONDA" }, ...]
+  const makes = parsePicknpullOptions(list, "makeID", "makeName");
+  if (!makes.length) return { makes, cached: false };
+  const resp = new Response(JSON.stringify(makes), {
+    status: 200,
+    headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
+  });
+  await cache.put(cacheKey, resp.clone());
+  return { makes, cached: false };
+}
+
+async function findPicknpullMake(upstreamBase, makeName) {
+  const wanted = normalizeText(makeName).toUpperCase();
+  const { makes } = await fetchPicknpullMakes(upstreamBase);
+  return makes.find((m) => m.name === wanted) || null;
+}
+
+async function fetchPicknpullModels(upstreamBase, makeId) {
+  const list = await getJsonUpstream(upstreamBase, `/api/vehicle/makes/${encodeURIComponent(makeId)}/models`);
+  // upstream returns [{ modelID: 1123, modelName: "CIVIC" }, ...]
+  return parsePicknpullOptions(list, "modelID", "modelName");
+}
+
+function parsePicknpullOptions(list, idField, nameField) {
+  if (!Array.isArray(list)) throw yardError("parse-failure", "expected a JSON array");
+  return list
+    .map((o) => ({ id: normalizeText(o?.[idField]), name: normalizeText(o?.[nameField]).toUpperCase() }))
+    .filter((o) => o.id && o.name);
+}
+
+// Search results look like [{ location: { locationID, name }, vehicles: [{ year, make, model, row,
+// vin, stockNumber, dateAdded }] }]. With `storeId`, only that location's vehicles are returned.
+function parsePicknpullInventory(body, { storeId = null } = {}) {
+  let groups;
+  try {
+    groups = typeof body === "string" ? JSON.parse(body) : body;
+  } catch (err) {
+    throw yardError("parse-failure", "search returned non-JSON");
+  }
+  if (!Array.isArray(groups)) throw yardError("parse-failure", "search returned no location list");
+
+  const out = [];
+  let skipped = 0;
+  for (const group of groups) {
+    if (storeId && normalizeText(group?.location?.locationID) !== normalizeText(storeId)) continue;
+    for (const v of Array.isArray(group?.vehicles) ? group.vehicles : []) {
+      const year = /^\d{4}$/.test(normalizeText(v?.year)) ? Number(v.year) : null;
+      const make = normalizeText(v?.make).toUpperCase();
+      const model = normalizeText(v?.model).toUpperCase();
+      if (!year || !make || !model) {
+        skipped++;
+        continue;
+      }
+      const row = { year, make, model, row: normalizeText(v?.row) };
+      if (v?.vin) row.vin = normalizeText(v.vin).toUpperCase();
+      if (v?.stockNumber) row.stockNumber = normalizeText(v.stockNumber);
+      if (v?.dateAdded && Number.isFinite(Date.parse(v.dateAdded))) row.arrivedAt = new Date(v.dateAdded).toISOString();
+      out.push(row);
+    }
+  }
+  // Vehicles in the payload but none usable means the shape changed, not an empty lot.
+  if (!out.length && skipped) throw yardError("parse-failure", "search vehicles had no year/make/model");
+  return { rows: out, diagnostics: skipped ? [`${skipped} vehicle(s) skipped: missing year, make or model`] : [] };
+}
+
+async function getJsonUpstream(upstreamBase, path) {
+  const text = await getUpstreamText(upstreamBase, path, "application/json");
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw yardError("parse-failure", `Upstream ${path.split("?")[0]} returned non-JSON`);
+  }
+}
+
+async function getUpstreamText(upstreamBase, path, accept) {
+  let r;
+  try {
+    r = await fetch(upstreamBase + path, {
+      method: "GET",
+      headers: { Accept: accept },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS),
+    });
+  } catch (err) {
+    if (err?.name === "TimeoutError") throw yardError("timeout", `no response within ${UPSTREAM_TIMEOUT_MS} ms`);
+    throw err;
+  }
+  if (!r.ok) throw new Error(`Upstream ${path.split("?")[0]} failed: ${r.status}`);
+  return await r.text();
+}
+
 async function postJsonUpstream(upstreamBase, path, obj) {
   // jQuery on the site posts x-www-form-urlencoded (default $.ajax behavior).
   const body = new URLSearchParams();
@@ -311,7 +939,11 @@ async function postJsonUpstream(upstreamBase, path, obj) {
   });
 
   if (!r.ok) throw new Error(`Upstream ${path} failed: ${r.status}`);
-  return await r.json();
+  try {
+    return await r.json();
+  } catch (err) {
+    throw yardError("parse-failure", `Upstream ${path} returned non-JSON`);
+  }
 }
 
 async function readBodyParams(request) {
@@ -325,340 +957,2909 @@ async function readBodyParams(request) {
   return Object.fromEntries(fd.entries());
 }
 
-// Run tasks with limited concurrency
-async function runPool(taskFns, limit) {
-  const results = [];
-  let i = 0;
+// ---- Full-yard snapshots ----
+// The crawler walks every make of a yard (the adapter's listMakes, then one searchInventory per make)
+// and stores the normalized rows in one snapshot per yard.
+
+async function crawlDueYardSnapshots(env) {
+  const store = await getSnapshotStore(env);
+  if (!store) return;
+  const crawledAt = await store.listCrawledAt();
+  const age = (y) => {
+    const t = Date.parse(crawledAt.get(y.id) || "");
+    return Number.isFinite(t) ? Date.now() - t : Infinity;
+  };
+  const due = (await getYards(env)).filter((y) => age(y) >= SNAPSHOT_INTERVAL_SECONDS * 1000)
+    .sort((a, b) => age(b) - age(a))
+    .slice(0, SNAPSHOT_YARDS_PER_TICK);
 
-  async function worker() {
-    while (i < taskFns.length) {
-      const idx = i++;
-      try {
-        results[idx] = await taskFns[idx]();
-      } catch (e) {
-        results[idx] = []; // fail closed; you can also record errors per yard
-      }
+  for (const y of due) {
+    try {
+      const snapshot = await crawlYardSnapshot(y);
+      const previous = await store.get(y.id);
+      const { departures, movedRows } = await compareCrawls(env, previous, snapshot);
+      await store.put(snapshot);
+      if (departures.length) await store.recordDepartures(y.id, departures);
+      await recordCrawlSightings(env, snapshot, movedRows);
+    } catch (err) {
+      console.error("yard snapshot crawl failed", { yardId: y.id, error: err });
     }
   }
-
-  const n = Math.max(1, Math.min(limit, taskFns.length));
-  await Promise.all(Array.from({ length: n }, () => worker()));
-  return results;
-}
-
-function json(obj, status = 200, extraHeaders = {}, allowedOrigin = "*") {
-  const h = new Headers({ "Content-Type": "application/json", ...corsHeaders(allowedOrigin), ...extraHeaders });
-  return new Response(JSON.stringify(obj), { status, headers: h });
-}
-
-function corsHeaders(allowedOrigin = "*") {
-  return {
-    "Access-Control-Allow-Origin": allowedOrigin,
-    "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Access-Control-Max-Age": "86400",
-  };
 }
 
-async function rerunSavedSearches(env) {
-  const kv = getSearchStore(env);
-  if (!kv) return;
-
-  const saved = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
-  const searches = Array.isArray(saved) ? saved : [];
-  if (!searches.length) return;
-
-  const refreshed = [];
-
-  for (const search of searches) {
-    const currentRows = await runSavedSearch(search);
-    const previousRows = Array.isArray(search.lastSnapshot) ? search.lastSnapshot : [];
-    const newVehicles = diffNewVehicles(currentRows, previousRows);
-
-    const next = {
-      ...search,
-      lastSnapshot: currentRows,
-    };
-
-    if (newVehicles.length) {
-      const delivery = await deliverNotifications(search, newVehicles, env);
-      next.lastNotifiedAt = new Date().toISOString();
-      next.lastNotificationStatus = delivery.status;
-      next.lastNotificationPayload = delivery.payload;
+async function crawlYardSnapshot(y) {
+  const adapter = getYardAdapter(y);
+  const { makes } = await adapter.listMakes(y);
+  const rows = [];
+  const failedMakes = [];
+  const diagnostics = new Set();
+  // One make at a time: this is the polite replacement for per-search fan-outs.
+  for (const VehicleMake of makes) {
+    try {
+      const found = await adapter.searchInventory(y, { VehicleMake });
+      rows.push(...found.rows);
+      for (const note of found.diagnostics) diagnostics.add(note);
+    } catch (err) {
+      failedMakes.push(VehicleMake);
     }
-
-    refreshed.push(next);
   }
-
-  await kv.put(SAVED_SEARCHES_KV_KEY, JSON.stringify(refreshed));
+  if (diagnostics.size) console.warn("yard snapshot parse diagnostics", { yardId: y.id, diagnostics: [...diagnostics] });
+  // Keep the previous snapshot rather than replace it with a mostly empty one.
+  if (failedMakes.length > makes.length / 2) {
+    throw new Error(`${failedMakes.length} of ${makes.length} makes failed`);
+  }
+  return { yardId: y.id, yardName: y.name, crawledAt: new Date().toISOString(), makeCount: makes.length, failedMakes, rows };
 }
 
-async function runSavedSearch(search) {
-  const VehicleMake = (search?.VehicleMake || search?.make || "").toString().trim();
-  const VehicleModel = (search?.VehicleModel || search?.model || "").toString().trim();
-  const { minYear, maxYear } = deriveYearRange(search);
-
-  if (!VehicleMake) return [];
+// Compares a yard's crawl with the previous one. Departures are vehicles that left, with how long they
+// were on the lot; row moves are not departures, and the moved rows keep their original first
+// sighting (`movedRows` carry `firstSeenAt`). Makes that failed in either crawl are skipped so a fetch
+// error doesn't read as a crushed car.
+async function compareCrawls(env, previous, snapshot) {
+  if (!previous?.rows?.length) return { departures: [], movedRows: [] };
+  const skippedMakes = new Set([...(previous.failedMakes || []), ...(snapshot.failedMakes || [])]);
+  const keep = (r) => !skippedMakes.has(r.make);
+  const { removed, moved } = matchVehicleChanges(snapshot.rows.filter(keep), previous.rows.filter(keep));
+  if (!removed.length && !moved.length) return { departures: [], movedRows: [] };
+
+  let sightings = new Map();
+  try {
+    const alertStore = await getSearchStore(env);
+    if (alertStore) sightings = await alertStore.getSightings([...removed, ...moved.map((m) => m.from)]);
+  } catch (err) {
+    console.error("crawl sighting lookup failed", { yardId: snapshot.yardId, error: err });
+  }
 
-  const jobs = YARDS.map((y) => async () => {
-    const rows = await fetchAndParseInventory({
-      yardId: y.id,
-      yardName: y.name,
-      upstream: y.upstream,
-      kind: y.kind,
-      VehicleMake,
-      VehicleModel,
-    });
-    return rows;
+  // Last seen in the previous crawl; vehicles without a first sighting can't be timed.
+  const lastSeen = Date.parse(previous.crawledAt);
+  const departures = removed.flatMap((r) => {
+    const first = Date.parse(sightings.get(inventoryKey(r))?.firstSeenAt || "");
+    if (!Number.isFinite(first) || !Number.isFinite(lastSeen)) return [];
+    return [{ ...r, firstSeenAt: new Date(first).toISOString(), departedAt: snapshot.crawledAt, daysOnLot: Math.max(0, (lastSeen - first) / DAY_MS) }];
   });
-
-  const all = await runPool(jobs, 2);
-  const flattened = all.flat();
-  return flattened.filter((r) => {
-    if (minYear !== null && Number(r.year) < minYear) return false;
-    if (maxYear !== null && Number(r.year) > maxYear) return false;
-    return true;
+  const movedRows = moved.flatMap(({ from, to }) => {
+    const firstSeenAt = sightings.get(inventoryKey(from))?.firstSeenAt;
+    return firstSeenAt ? [{ ...to, firstSeenAt }] : [];
   });
+  return { departures, movedRows };
 }
 
-function deriveYearRange(source, { strict = false } = {}) {
-  const minYear = parseOptionalYear(source?.VehicleMinYear ?? source?.minYear, { strict });
-  const maxYear = parseOptionalYear(source?.VehicleMaxYear ?? source?.maxYear, { strict });
-  const singleYear = parseOptionalYear(source?.VehicleYear ?? source?.year, { strict });
-
-  let normalizedMin = minYear ?? singleYear;
-  let normalizedMax = maxYear ?? singleYear;
-
-  if (normalizedMin !== null && normalizedMax !== null && normalizedMin > normalizedMax) {
-    if (strict) throw new Error("VehicleMinYear must be before VehicleMaxYear");
-    const hi = Math.max(normalizedMin, normalizedMax);
-    normalizedMin = Math.min(normalizedMin, normalizedMax);
-    normalizedMax = hi;
+// Average days on lot before departure for `make` at each yard, added to the status blocks.
+async function attachCrushStats(statuses, make, env) {
+  let store = null;
+  try {
+    store = await getSnapshotStore(env);
+  } catch (err) {
+    console.error("crush stats unavailable", { error: err });
   }
-
-  return { minYear: normalizedMin, maxYear: normalizedMax };
+  const key = normalizeText(make).toUpperCase();
+  return Promise.all(
+    statuses.map(async (status) => {
+      let stats = null;
+      try {
+        stats = store ? (await store.getCrushStats(status.id))[key] || null : null;
+      } catch (err) {
+        console.error("crush stats read failed", { yardId: status.id, error: err });
+      }
+      return { ...status, avgDaysToCrush: stats ? Math.round(stats.avgDays * 10) / 10 : null, crushSamples: stats?.departures || 0 };
+    })
+  );
 }
 
-function parseOptionalYear(value, { strict = false } = {}) {
-  const text = (value ?? "").toString().trim();
-  if (!text) return null;
-  const n = Number(text);
-  const valid = Number.isFinite(n) && n >= 1900 && n <= 2100;
-  if (!valid) {
-    if (strict) throw new Error("Vehicle year must be between 1900 and 2100.");
-    return null;
+// A full crawl is the best arrival signal: it sees every vehicle on the lot, not just watched makes.
+// `movedRows` replace their plain counterparts so a relocated car keeps its original first sighting.
+async function recordCrawlSightings(env, snapshot, movedRows = []) {
+  try {
+    const alertStore = await getSearchStore(env);
+    const moved = new Map(movedRows.map((r) => [inventoryKey(r), r]));
+    const rows = snapshot.rows.map((r) => moved.get(inventoryKey(r)) || r);
+    if (alertStore) await alertStore.recordSightings(rows, snapshot.crawledAt);
+  } catch (err) {
+    console.error("crawl sighting record failed", { yardId: snapshot.yardId, error: err });
   }
-  return n;
+}
+
+function isSnapshotExpired(snapshot) {
+  const crawledAt = Date.parse(snapshot?.crawledAt || "");
+  return !Number.isFinite(crawledAt) || Date.now() - crawledAt > SNAPSHOT_MAX_AGE_SECONDS * 1000;
+}
+
+// Memoizes snapshot reads for one request or sweep.
+function createSnapshotReader(env) {
+  const pending = new Map();
+  return {
+    get(yardId) {
+      if (!pending.has(yardId)) {
+        pending.set(
+          yardId,
+          getSnapshotStore(env)
+            .then((store) => (store ? store.get(yardId) : null))
+            .catch((err) => {
+              console.error("yard snapshot read failed", { yardId, error: err });
+              return null;
+            })
+        );
+      }
+      return pending.get(yardId);
+    },
+  };
+}
+
+// D1 `yard_snapshots` when bound, else KV; null without either binding.
+async function getSnapshotStore(env) {
+  const db = await getD1(env);
+  if (db) return createD1SnapshotStore(db);
+  const kv = getAlertsKv(env);
+  return kv ? createKvSnapshotStore(kv) : null;
+}
+
+// `yard-snapshot:<yardId>` holds the snapshot; `yard-snapshot-index` maps yardId -> crawledAt so
+// the crawler can pick due yards without loading every snapshot.
+function createKvSnapshotStore(kv) {
+  return {
+    async listCrawledAt() {
+      const index = (await kv.get(YARD_SNAPSHOT_INDEX_KV_KEY, { type: "json" })) || {};
+      return new Map(Object.entries(index));
+    },
+    async get(yardId) {
+      return await kv.get(`${YARD_SNAPSHOT_KV_PREFIX}${yardId}`, { type: "json" });
+    },
+    async put(snapshot) {
+      await kv.put(`${YARD_SNAPSHOT_KV_PREFIX}${snapshot.yardId}`, JSON.stringify(snapshot));
+      const index = (await kv.get(YARD_SNAPSHOT_INDEX_KV_KEY, { type: "json" })) || {};
+      index[snapshot.yardId] = snapshot.crawledAt;
+      await kv.put(YARD_SNAPSHOT_INDEX_KV_KEY, JSON.stringify(index));
+    },
+    async recordDepartures(yardId, departures) {
+      const key = `${CRUSH_STATS_KV_PREFIX}${yardId}`;
+      const stats = (await kv.get(key, { type: "json" })) || {};
+      for (const d of departures) {
+        const make = normalizeText(d.make).toUpperCase();
+        const entry = stats[make] || { departures: 0, totalDays: 0 };
+        stats[make] = { departures: entry.departures + 1, totalDays: entry.totalDays + d.daysOnLot };
+      }
+      await kv.put(key, JSON.stringify(stats));
+    },
+    // make -> { departures, avgDays }
+    async getCrushStats(yardId) {
+      const stats = (await kv.get(`${CRUSH_STATS_KV_PREFIX}${yardId}`, { type: "json" })) || {};
+      return Object.fromEntries(
+        Object.entries(stats).map(([make, e]) => [make, { departures: e.departures, avgDays: e.totalDays / e.departures }])
+      );
+    },
+    async recordHealthCheck(check) {
+      const key = `${YARD_HEALTH_KV_PREFIX}${check.yardId}`;
+      const history = (await kv.get(key, { type: "json" })) || [];
+      await kv.put(key, JSON.stringify([check, ...history].slice(0, YARD_HEALTH_HISTORY_KEPT)));
+    },
+    // Newest first.
+    async getHealthHistory(yardId, limit = YARD_HEALTH_HISTORY_KEPT) {
+      const history = (await kv.get(`${YARD_HEALTH_KV_PREFIX}${yardId}`, { type: "json" })) || [];
+      return history.slice(0, limit);
+    },
+    async recordSweepStats(stats) {
+      const history = (await kv.get(SWEEP_STATS_KV_KEY, { type: "json" })) || [];
+      await kv.put(SWEEP_STATS_KV_KEY, JSON.stringify([stats, ...history].slice(0, SWEEP_STATS_KEPT)));
+    },
+    // Newest first.
+    async listSweepStats(limit = SWEEP_STATS_KEPT) {
+      const history = (await kv.get(SWEEP_STATS_KV_KEY, { type: "json" })) || [];
+      return history.slice(0, limit);
+    },
+    async getSweepCursor() {
+      return await kv.get(SWEEP_CURSOR_KV_KEY, { type: "json" });
+    },
+    async putSweepCursor(cursor) {
+      await kv.put(SWEEP_CURSOR_KV_KEY, JSON.stringify(cursor));
+    },
+    async clearSweepCursor() {
+      await kv.delete(SWEEP_CURSOR_KV_KEY);
+    },
+  };
+}
+
+function createD1SnapshotStore(db) {
+  return {
+    async listCrawledAt() {
+      const { results } = await db.prepare("SELECT yard_id, crawled_at FROM yard_snapshots").all();
+      return new Map((results || []).map((r) => [r.yard_id, r.crawled_at]));
+    },
+    async get(yardId) {
+      const row = await db.prepare("SELECT * FROM yard_snapshots WHERE yard_id = ?").bind(yardId).first();
+      if (!row) return null;
+      return {
+        yardId: row.yard_id,
+        yardName: row.yard_name,
+        crawledAt: row.crawled_at,
+        makeCount: row.make_count,
+        failedMakes: parseJsonOr(row.failed_makes, []),
+        rows: parseJsonOr(row.rows, []),
+      };
+    },
+    async put(snapshot) {
+      await db
+        .prepare(
+          `INSERT INTO yard_snapshots (yard_id, yard_name, crawled_at, make_count, failed_makes, rows) VALUES (?, ?, ?, ?, ?, ?)
+           ON CONFLICT(yard_id) DO UPDATE SET yard_name = excluded.yard_name, crawled_at = excluded.crawled_at,
+             make_count = excluded.make_count, failed_makes = excluded.failed_makes, rows = excluded.rows`
+        )
+        .bind(
+          snapshot.yardId,
+          snapshot.yardName,
+          snapshot.crawledAt,
+          snapshot.makeCount,
+          JSON.stringify(snapshot.failedMakes),
+          JSON.stringify(snapshot.rows)
+        )
+        .run();
+    },
+    async recordDepartures(yardId, departures) {
+      const stmt = db.prepare(
+        `INSERT OR IGNORE INTO vehicle_departures (inventory_key, departed_at, yard_id, year, make, model, row_label, first_seen_at, days_on_lot)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      );
+      await db.batch(
+        departures.map((d) =>
+          stmt.bind(
+            inventoryKey(d),
+            d.departedAt,
+            yardId,
+            d.year ?? null,
+            normalizeText(d.make).toUpperCase(),
+            d.model || null,
+            d.row || null,
+            d.firstSeenAt,
+            d.daysOnLot
+          )
+        )
+      );
+    },
+    async getCrushStats(yardId) {
+      const { results } = await db
+        .prepare("SELECT make, COUNT(*) AS departures, AVG(days_on_lot) AS avg_days FROM vehicle_departures WHERE yard_id = ? GROUP BY make")
+        .bind(yardId)
+        .all();
+      return Object.fromEntries((results || []).map((r) => [r.make, { departures: r.departures, avgDays: r.avg_days }]));
+    },
+    async recordHealthCheck(check) {
+      await db.batch([
+        db
+          .prepare(
+            `INSERT OR REPLACE INTO yard_health_checks (yard_id, checked_at, status, make_count, probe_make, row_count, problems)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(check.yardId, check.checkedAt, check.status, check.makeCount, check.probeMake, check.rowCount, JSON.stringify(check.problems)),
+        db
+          .prepare(
+            `DELETE FROM yard_health_checks WHERE yard_id = ?1 AND checked_at NOT IN
+             (SELECT checked_at FROM yard_health_checks WHERE yard_id = ?1 ORDER BY checked_at DESC LIMIT ?2)`
+          )
+          .bind(check.yardId, YARD_HEALTH_HISTORY_KEPT),
+      ]);
+    },
+    async getHealthHistory(yardId, limit = YARD_HEALTH_HISTORY_KEPT) {
+      const { results } = await db
+        .prepare("SELECT * FROM yard_health_checks WHERE yard_id = ? ORDER BY checked_at DESC LIMIT ?")
+        .bind(yardId, limit)
+        .all();
+      return (results || []).map((r) => ({
+        yardId: r.yard_id,
+        checkedAt: r.checked_at,
+        status: r.status,
+        makeCount: r.make_count,
+        probeMake: r.probe_make,
+        rowCount: r.row_count,
+        problems: parseJsonOr(r.problems, []),
+      }));
+    },
+    async recordSweepStats(stats) {
+      await db.batch([
+        db.prepare("INSERT OR REPLACE INTO alert_sweeps (started_at, stats) VALUES (?, ?)").bind(stats.startedAt, JSON.stringify(stats)),
+        db
+          .prepare("DELETE FROM alert_sweeps WHERE started_at NOT IN (SELECT started_at FROM alert_sweeps ORDER BY started_at DESC LIMIT ?)")
+          .bind(SWEEP_STATS_KEPT),
+      ]);
+    },
+    async listSweepStats(limit = SWEEP_STATS_KEPT) {
+      const { results } = await db.prepare("SELECT stats FROM alert_sweeps ORDER BY started_at DESC LIMIT ?").bind(limit).all();
+      return (results || []).map((r) => parseJsonOr(r.stats, null)).filter(Boolean);
+    },
+    async getSweepCursor() {
+      const row = await db.prepare("SELECT cursor FROM alert_sweep_cursor WHERE id = 1").first();
+      return row ? parseJsonOr(row.cursor, null) : null;
+    },
+    async putSweepCursor(cursor) {
+      await db
+        .prepare("INSERT INTO alert_sweep_cursor (id, cursor) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET cursor = excluded.cursor")
+        .bind(JSON.stringify(cursor))
+        .run();
+    },
+    async clearSweepCursor() {
+      await db.prepare("DELETE FROM alert_sweep_cursor WHERE id = 1").run();
+    },
+  };
+}
+
+// ---- Yard health ----
+// Once a day every yard's makes list and one probe search are checked for plausible results,
+// so an upstream page that changed shape is noticed before alerts quietly stop firing. A yard that turns
+// broken (or starts returning zero makes) is reported to the admin channel, and so is its recovery.
+
+async function checkYardHealth(env) {
+  const store = await getSnapshotStore(env);
+  if (!store) return;
+  const yards = await getYards(env);
+  const checks = await runPool(yards.map((y) => () => probeYardHealth(y)), 2);
+
+  const notices = [];
+  for (const [idx, check] of checks.entries()) {
+    const y = yards[idx];
+    try {
+      const [previous] = await store.getHealthHistory(y.id, 1);
+      await store.recordHealthCheck(check);
+      const lostMakes = check.makeCount === 0 && (previous?.makeCount ?? 1) > 0;
+      if ((check.status === "broken" && previous?.status !== "broken") || lostMakes) {
+        notices.push(`${y.name}: ${previous?.status || "unchecked"} -> broken (${check.problems.join("; ") || "no details"})`);
+      } else if (check.status === "healthy" && previous?.status === "broken") {
+        notices.push(`${y.name}: recovered`);
+      }
+    } catch (err) {
+      console.error("yard health record failed", { yardId: y.id, error: err });
+    }
+  }
+  if (notices.length) await notifyAdmin(env, { title: `Jalopy Alerts: yard health changed (${notices.length})`, lines: notices });
+}
+
+// { yardId, checkedAt, status: healthy | degraded | broken, makeCount, probeMake, rowCount, problems }.
+// Never throws; every failure becomes a problem on a "broken" check.
+async function probeYardHealth(y) {
+  const check = {
+    yardId: y.id,
+    checkedAt: new Date().toISOString(),
+    status: "healthy",
+    makeCount: 0,
+    probeMake: null,
+    rowCount: 0,
+    problems: [],
+  };
+  const adapter = getYardAdapter(y);
+
+  let makes = [];
+  try {
+    makes = (await withTimeout(adapter.listMakes(y), YARD_TIMEOUT_MS)).makes;
+  } catch (err) {
+    check.problems.push(`makes: ${String(err?.message || err)}`);
+  }
+  check.makeCount = makes.length;
+  if (!makes.length) {
+    check.status = "broken";
+    return check;
+  }
+
+  const listed = new Set(makes.map((m) => normalizeText(m).toUpperCase()));
+  const probeMake = [y.probeMake, ...HEALTH_PROBE_MAKES].find((m) => m && listed.has(m)) || [...listed][0];
+  check.probeMake = probeMake;
+  try {
+    const { rows, diagnostics } = await withTimeout(adapter.searchInventory(y, { VehicleMake: probeMake }), YARD_TIMEOUT_MS);
+    const latestYear = new Date().getUTCFullYear() + 1;
+    const implausible = rows.filter(
+      (r) => !(r.year >= 1900 && r.year <= latestYear) || normalizeText(r.make).toUpperCase() !== probeMake
+    );
+    check.rowCount = rows.length;
+    check.problems.push(...diagnostics);
+    if (implausible.length > rows.length / 2) {
+      check.status = "broken";
+      check.problems.push(`${implausible.length} of ${rows.length} ${probeMake} rows have the wrong make or year`);
+    } else if (!rows.length) {
+      // An empty probe is suspicious; with parser notes it's almost certainly a changed page.
+      check.status = diagnostics.length ? "broken" : "degraded";
+      check.problems.push(`no ${probeMake} rows`);
+    } else if (diagnostics.length || implausible.length) {
+      check.status = "degraded";
+    }
+  } catch (err) {
+    check.status = "broken";
+    check.problems.push(`search: ${String(err?.message || err)}`);
+  }
+  return check;
+}
+
+// Operator notices go to `ADMIN_WEBHOOK_URL` (any webhook format) and/or `ADMIN_EMAIL`; a notice is logged only
+// when a channel fails or none is configured.
+async function notifyAdmin(env, { title, lines }) {
+  const statuses = [];
+
+  const url = normalizeText(env?.ADMIN_WEBHOOK_URL || "");
+  if (url) {
+    const format = normalizeText(env?.ADMIN_WEBHOOK_FORMAT || "json").toLowerCase();
+    const hook = { url, format: WEBHOOK_FORMATS.has(format) ? format : "json", secret: normalizeText(env?.ADMIN_WEBHOOK_SECRET || "") };
+    const result = await postWebhookWithRetry(hook, buildAdminWebhookRequest(hook, title, lines));
+    statuses.push(result.ok ? "admin webhook sent" : `admin webhook failed: ${result.error}`);
+  }
+
+  const to = normalizeEmail(env?.ADMIN_EMAIL || "");
+  const from = normalizeText(env?.ALERT_EMAIL_FROM || "");
+  if (to) {
+    try {
+      const sender = getEmailSender(env);
+      if (!sender || !from) throw new Error("not configured");
+      const html = `<h2>${escapeHtml(title)}</h2><ul>${lines.map((l) => `<li>${escapeHtml(l)}</li>`).join("")}</ul>`;
+      await sender.send({ from, to, subject: title, text: lines.join("\n"), html });
+      statuses.push("admin email sent");
+    } catch (err) {
+      statuses.push(`admin email failed: ${String(err?.message || err)}`);
+    }
+  }
+
+  if (!statuses.length || statuses.some((s) => s.includes("failed"))) {
+    console.error("admin notice delivery failed", { title, lines, status: statuses.join("; ") || "no admin channel configured" });
+  }
+  return statuses.join("; ");
+}
+
+function buildAdminWebhookRequest(hook, title, lines) {
+  if (hook.format === "discord") {
+    return {
+      contentType: "application/json",
+      body: JSON.stringify({
+        username: "Jalopy Alerts",
+        embeds: [{ title: truncateText(title, 256), description: truncateLines(lines, 4000), color: 0xd93025 }],
+      }),
+    };
+  }
+  if (hook.format === "slack") {
+    return {
+      contentType: "application/json",
+      body: JSON.stringify({
+        text: title,
+        blocks: [
+          { type: "header", text: { type: "plain_text", text: truncateText(title, 150) } },
+          { type: "section", text: { type: "mrkdwn", text: truncateLines(lines, 2900) } },
+        ],
+      }),
+    };
+  }
+  if (hook.format === "ntfy") {
+    return {
+      contentType: "text/plain; charset=utf-8",
+      headers: { Title: title.replace(/[^\x20-\x7e]/g, "-"), Tags: "warning" },
+      body: truncateLines(lines, 3800),
+    };
+  }
+  return {
+    contentType: "application/json",
+    body: JSON.stringify({ event: "yard_health", title, lines, sentAt: new Date().toISOString() }),
+  };
+}
+
+// Run tasks with limited concurrency
+async function runPool(taskFns, limit) {
+  const results = [];
+  let i = 0;
+
+  async function worker() {
+    while (i < taskFns.length) {
+      const idx = i++;
+      try {
+        results[idx] = await taskFns[idx]();
+      } catch (e) {
+        results[idx] = []; // fail closed; you can also record errors per yard
+      }
+    }
+  }
+
+  const n = Math.max(1, Math.min(limit, taskFns.length));
+  await Promise.all(Array.from({ length: n }, () => worker()));
+  return results;
+}
+
+// Runs `task(yard)` per yard with limited concurrency. Tasks resolve to `{ value, cached, fetchedAt,
+// stale, failure }`; a failed yard contributes [] (or its stale copy) and its status block says why:
+// ok / error / timeout / parse-failure.
+async function runYardPool(yards, task, limit = 2) {
+  const statuses = [];
+  const jobs = yards.map((y, idx) => async () => {
+    const started = Date.now();
+    const base = { id: y.id, name: y.name };
+    try {
+      const {
+        value,
+        cached = false,
+        fetchedAt = null,
+        stale = false,
+        failure = null,
+        source = "live",
+        diagnostics = [],
+      } = await withTimeout(task(y), YARD_TIMEOUT_MS);
+      statuses[idx] = {
+        ...base,
+        status: failure ? failure.yardStatus || "error" : "ok",
+        latencyMs: Date.now() - started,
+        source,
+        cached,
+        fetchedAt,
+        stale,
+        count: value.length,
+        error: failure ? String(failure.message || failure) : null,
+        diagnostics,
+      };
+      return value;
+    } catch (err) {
+      const status = err?.yardStatus || "error";
+      statuses[idx] = {
+        ...base,
+        status,
+        latencyMs: Date.now() - started,
+        source: "live",
+        cached: false,
+        fetchedAt: null,
+        stale: false,
+        count: 0,
+        error: String(err?.message || err),
+        diagnostics: [],
+      };
+      return [];
+    }
+  });
+
+  const values = await runPool(jobs, limit);
+  return { values, statuses };
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(yardError("timeout", `no response within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function yardError(yardStatus, message) {
+  const err = new Error(message);
+  err.yardStatus = yardStatus;
+  return err;
+}
+
+// Every yard carries some makes; an empty list means the page no longer parses.
+function requireParsed(list, message) {
+  if (!list.length) throw yardError("parse-failure", message);
+  return list;
+}
+
+function json(obj, status = 200, extraHeaders = {}, allowedOrigin = "*") {
+  const h = new Headers({ "Content-Type": "application/json", ...corsHeaders(allowedOrigin), ...extraHeaders });
+  return new Response(JSON.stringify(obj), { status, headers: h });
+}
+
+function corsHeaders(allowedOrigin = "*") {
+  return {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400",
+  };
+}
+
+// Due alerts form a sweep whose ordered ids and counters are kept as a cursor in the snapshot store.
+// Each tick works through the cursor in batches until the tick's alert cap or time budget runs out,
+// committing the position and the rows sighted so far after every batch, and the next tick resumes
+// there. Each alert's own update is written as soon as it is checked, so a tick that dies mid-batch
+// loses nothing already checked.
+async function rerunSavedSearches(env, { now = new Date() } = {}) {
+  const store = await getSearchStore(env);
+  const opsStore = await getSnapshotStore(env);
+  if (!store || !opsStore) return;
+
+  const tickStarted = Date.now();
+  const checkedAt = now.toISOString();
+  // KV allows one write per key per second, so cursor and sighting writes are spaced out.
+  let lastWriteAt = 0;
+  const paced = async (write) => {
+    await sleep(Math.max(0, lastWriteAt + SWEEP_WRITE_GAP_MS - Date.now()));
+    await write();
+    lastWriteAt = Date.now();
+  };
+
+  let cursor = await opsStore.getSweepCursor();
+  if (cursor) {
+    // `attempts` counts ticks that claimed this position without committing past it.
+    if (cursor.attempts >= SWEEP_BATCH_MAX_ATTEMPTS) {
+      console.error("alert sweep batch skipped", { startedAt: cursor.startedAt, position: cursor.position });
+      cursor.position += SWEEP_BATCH_SIZE;
+      cursor.attempts = 0;
+    }
+    if (cursor.position >= cursor.alertIds.length) {
+      await paced(() => finishSweep(opsStore, cursor));
+      cursor = null;
+    }
+  }
+  if (!cursor) {
+    const due = selectDueAlerts(await store.listSchedules(), now);
+    if (!due.length) return;
+    cursor = { startedAt: checkedAt, alertIds: due.map((s) => s.id), position: 0, attempts: 0, stats: newSweepStats(checkedAt, due.length) };
+  }
+  // Claim the next batch: a tick that dies inside it leaves the attempt counted.
+  cursor.attempts += 1;
+  cursor.stats.ticks += 1;
+  await paced(() => opsStore.putSweepCursor(cursor));
+
+  const { stats } = cursor;
+  // Endpoints the push service reported as gone (404/410) during this tick -> HTTP status.
+  const goneEndpoints = new Map();
+  // Each yard snapshot is read once per tick, not once per alert.
+  const snapshots = createSnapshotReader(env);
+  const queries = createSweepQueries(env, snapshots, stats);
+  const outOfBudget = () => checked >= MAX_ALERTS_PER_TICK || Date.now() - tickStarted >= SWEEP_TIME_BUDGET_MS;
+  let checked = 0;
+
+  while (cursor.position < cursor.alertIds.length && !outOfBudget()) {
+    // Rows seen in this batch, written with the batch's commit.
+    const sightedRows = new Map();
+    const batch = cursor.alertIds.slice(cursor.position, cursor.position + SWEEP_BATCH_SIZE);
+    const batchStarted = Date.now();
+    let done = 0;
+    for (const id of batch) {
+      if (outOfBudget()) break;
+      done += 1;
+      const search = await store.get(id);
+      // Deleted since the sweep started, already checked by an earlier attempt at this batch, or picked
+      // from a schedule listing that had not caught up with the record yet.
+      if (!search || alertDueSince(search, new Date(cursor.startedAt)) === null) continue;
+      checked += 1;
+      try {
+        await sweepAlert(search, { env, store, queries, goneEndpoints, sightedRows, stats, checkedAt });
+      } catch (err) {
+        // The alert keeps its old snapshot and stays due; the rest of the batch goes on.
+        stats.failedAlerts += 1;
+        console.error("alert sweep failed", { alertId: id, error: err });
+      }
+    }
+
+    cursor.position += done;
+    cursor.attempts = 0;
+    stats.durationMs += Date.now() - batchStarted;
+    await paced(async () => {
+      try {
+        await recordSweepSightings(store, sightedRows, checkedAt);
+      } catch (err) {
+        console.error("sighting write failed", { error: err });
+      }
+      if (cursor.position >= cursor.alertIds.length) await finishSweep(opsStore, cursor);
+      else await opsStore.putSweepCursor(cursor);
+    });
+  }
+}
+
+function newSweepStats(startedAt, alerts) {
+  return {
+    startedAt,
+    finishedAt: null,
+    alerts,
+    ticks: 0,
+    queries: 0,
+    snapshotHits: 0,
+    cacheHits: 0,
+    upstreamFetches: 0,
+    failedFetches: 0,
+    failedAlerts: 0,
+    notified: 0,
+    durationMs: 0,
+  };
+}
+
+async function finishSweep(opsStore, cursor) {
+  const stats = { ...cursor.stats, finishedAt: new Date().toISOString() };
+  try {
+    await opsStore.recordSweepStats(stats);
+  } catch (err) {
+    console.error("sweep stats write failed", { error: err });
+  }
+  await opsStore.clearSweepCursor();
+}
+
+// Checks one alert against its shared make/model query, notifies about changes and writes the alert back.
+async function sweepAlert(search, { env, store, queries, goneEndpoints, sightedRows, stats, checkedAt }) {
+  const { changes, events } = await evaluateAlert(search, { queries, sightedRows, checkedAt });
+  if (events.length) stats.notified += 1;
+  for (const event of events) await deliverAlertEvent(search, event, { env, store, goneEndpoints }, changes);
+
+  // Re-read before writing so an alert deleted mid-sweep is not resurrected.
+  await store.update(search.id, (current) => ({ ...current, ...changes }));
+}
+
+// Diffs the alert's current rows against its last snapshot. Returns the fields the sweep owns (merged
+// into the latest stored copy by the caller) and the arrival/departure events to notify.
+async function evaluateAlert(search, { queries, sightedRows, checkedAt }) {
+  const { rows: queryRows, failedYardIds } = await queries.run(search);
+  const fetchedRows = filterAlertRows(search, queryRows);
+  const previousRows = Array.isArray(search.lastSnapshot) ? search.lastSnapshot : [];
+  // A yard that failed this sweep keeps its previous rows, so an outage reads as neither
+  // departures now nor arrivals once it recovers.
+  const fromFailedYard = (r) => failedYardIds.has(String(r.yardId));
+  const liveRows = fetchedRows.filter((r) => !fromFailedYard(r));
+  const currentRows = [...liveRows, ...previousRows.filter(fromFailedYard)];
+  for (const r of liveRows) if (!sightedRows.has(inventoryKey(r))) sightedRows.set(inventoryKey(r), r);
+  const { added: newVehicles, removed, moved } = matchVehicleChanges(currentRows, previousRows);
+  for (const { from, to } of moved) {
+    if (sightedRows.has(inventoryKey(to))) sightedRows.set(inventoryKey(to), { ...to, movedFrom: from });
+  }
+  const removedVehicles = search.notifyRemovals ? removed : [];
+
+  // Only the fields the sweep owns; merged into the latest stored copy below.
+  const changes = { lastSnapshot: currentRows, lastCheckedAt: checkedAt };
+  // Row moves are not arrivals or departures; keep the latest few for the alert card instead.
+  if (moved.length) {
+    changes.lastRowMoves = moved.slice(0, MAX_ROW_MOVES_KEPT).map(({ from, to }) => ({
+      yardName: to.yardName,
+      year: to.year,
+      make: to.make,
+      model: to.model,
+      fromRow: from.row,
+      toRow: to.row,
+      movedAt: checkedAt,
+    }));
+  }
+
+  const events = [];
+  if (newVehicles.length) events.push({ kind: "added", vehicles: newVehicles });
+  if (removedVehicles.length) events.push({ kind: "removed", vehicles: removedVehicles });
+  return { changes, events };
+}
+
+// A moved row is a new inventoryKey; it takes the first sighting of the row it moved from (as the
+// crawl does), so the car's days on lot don't restart.
+async function recordSweepSightings(store, sightedRows, seenAt) {
+  if (store.sightingsFromCrawlsOnly) return;
+  const rows = [...sightedRows.values()];
+  const movedFrom = rows.filter((r) => r.movedFrom).map((r) => r.movedFrom);
+  const sightings = movedFrom.length ? await store.getSightings(movedFrom) : new Map();
+  const carried = rows.map(({ movedFrom: from, ...r }) => {
+    const firstSeenAt = from && (sightings.get(inventoryKey(from))?.firstSeenAt || from.firstSeenAt);
+    return firstSeenAt ? { ...r, firstSeenAt } : r;
+  });
+  await store.recordSightings(carried, seenAt);
+}
+
+// Sends one event's notices and records the outcome in `changes`.
+async function deliverAlertEvent(search, { kind, vehicles }, { env, store, goneEndpoints }, changes) {
+  const goneBefore = new Set(goneEndpoints.keys());
+  const delivery = await deliverNotifications(search, vehicles, env, { store, goneEndpoints, kind });
+  changes.lastNotifiedAt = new Date().toISOString();
+  changes.lastNotificationStatus = delivery.status;
+  changes.lastNotificationPayload = delivery.payload;
+  if (delivery.webhookStatus) {
+    changes.webhookStatus = { ...(search.webhookStatus || {}), ...(changes.webhookStatus || {}), ...delivery.webhookStatus };
+  }
+
+  if (search.pushEndpoint && goneEndpoints.has(search.pushEndpoint) && !search.pushInactiveAt && !changes.pushInactiveAt) {
+    changes.pushInactiveAt = changes.lastNotifiedAt;
+    changes.pushInactiveReason = `subscription expired (${goneEndpoints.get(search.pushEndpoint)})`;
+  }
+  for (const endpoint of goneEndpoints.keys()) {
+    if (goneBefore.has(endpoint) || !search.ownerKey) continue;
+    try {
+      await store.deleteSubscription(search.ownerKey, endpoint);
+    } catch (err) {
+      console.error("subscription cleanup failed", { alertId: search.id, error: err });
+    }
+  }
+
+  try {
+    await store.recordNotification(search.pushEndpoint, {
+      alertId: search.id,
+      createdAt: changes.lastNotifiedAt,
+      status: delivery.status,
+      payload: delivery.payload,
+    });
+  } catch (err) {
+    console.error("inbox write failed", { alertId: search.id, error: err });
+  }
+}
+
+// ---- Alert queues ----
+// With an `ALERT_EVALUATE_QUEUE` producer binding the tick only enqueues due alerts. The evaluate consumer
+// diffs each alert and enqueues its notices on `ALERT_DELIVERY_QUEUE` (or delivers them inline when that
+// binding is missing); the deliver consumer sends them. Failed messages are retried with backoff and,
+// after `max_retries`, land on the dead-letter queue, whose consumer records the failure on the alert.
+async function enqueueDueAlerts(env, { now = new Date() } = {}) {
+  const store = await getSearchStore(env);
+  if (!store) return;
+
+  const leasedUntil = now.getTime() - ALERT_QUEUE_LEASE_MS;
+  const schedules = (await store.listSchedules()).filter((entry) => !(Date.parse(entry.enqueuedAt || "") > leasedUntil));
+  const due = selectDueAlerts(schedules, now);
+  if (!due.length) return;
+  const checkedAt = now.toISOString();
+  await store.setEnqueuedAt(due.map((search) => search.id), checkedAt);
+  for (let i = 0; i < due.length; i += QUEUE_SEND_BATCH_MAX) {
+    const chunk = due.slice(i, i + QUEUE_SEND_BATCH_MAX);
+    try {
+      await env.ALERT_EVALUATE_QUEUE.sendBatch(chunk.map((search) => ({ body: { alertId: search.id, checkedAt } })));
+    } catch (err) {
+      // Alerts that were never sent go back to the next tick.
+      await store.setEnqueuedAt(due.slice(i).map((search) => search.id), null);
+      throw err;
+    }
+  }
+}
+
+async function handleEvaluateBatch(batch, env) {
+  const store = await getSearchStore(env);
+  if (!store) throw new Error("Alert storage not configured");
+
+  // Messages in one batch share make/model queries, snapshot reads and the sightings write. Only the
+  // inline sweep keeps the query counters.
+  const queries = createSweepQueries(env, createSnapshotReader(env), newSweepStats(new Date().toISOString(), batch.messages.length));
+  const sightedRows = new Map();
+  // Alerts whose evaluation is over, one way or the other; their leases are released with the batch.
+  const released = [];
+  const goneEndpoints = new Map();
+
+  for (const message of batch.messages) {
+    const { alertId, checkedAt } = message.body || {};
+    try {
+      const search = alertId ? await store.get(alertId) : null;
+      // Deleted, or no longer due at the tick that enqueued it: a slow queue can hold a repeat of a
+      // message that was already handled.
+      if (!search || !checkedAt || alertDueSince(search, new Date(checkedAt)) === null) {
+        if (search) released.push(alertId);
+        message.ack();
+        continue;
+      }
+      const { changes, events } = await evaluateAlert(search, { queries, sightedRows, checkedAt });
+      if (events.length) {
+        // Notices go out before the snapshot moves on: a retry may repeat a notice but never drops one.
+        if (env.ALERT_DELIVERY_QUEUE) {
+          await env.ALERT_DELIVERY_QUEUE.sendBatch(events.map(({ kind, vehicles }) => ({ body: { alertId, kind, vehicles } })));
+        } else {
+          for (const event of events) await deliverAlertEvent(search, event, { env, store, goneEndpoints }, changes);
+        }
+      }
+      await store.update(alertId, (current) => ({ ...current, ...changes }));
+      released.push(alertId);
+      message.ack();
+    } catch (err) {
+      console.error("alert evaluation failed", { alertId, attempts: message.attempts, error: err });
+      message.retry({ delaySeconds: queueRetryDelay(message.attempts) });
+    }
+  }
+
+  try {
+    await recordSweepSightings(store, sightedRows, new Date().toISOString());
+  } catch (err) {
+    console.error("sighting write failed", { error: err });
+  }
+  try {
+    await store.setEnqueuedAt(released, null);
+  } catch (err) {
+    console.error("lease release failed", { error: err });
+  }
+}
+
+async function handleDeliveryBatch(batch, env) {
+  const store = await getSearchStore(env);
+  if (!store) throw new Error("Alert storage not configured");
+  const goneEndpoints = new Map();
+
+  for (const message of batch.messages) {
+    const { alertId, kind, vehicles } = message.body || {};
+    try {
+      const search = alertId ? await store.get(alertId) : null;
+      if (!search || !Array.isArray(vehicles) || !vehicles.length) {
+        message.ack();
+        continue;
+      }
+      const changes = {};
+      await deliverAlertEvent(search, { kind, vehicles }, { env, store, goneEndpoints }, changes);
+      // Sent: a retry from here on would repeat the notice, so the status write is best-effort.
+      message.ack();
+      try {
+        await store.update(alertId, (current) => ({ ...current, ...changes }));
+      } catch (err) {
+        console.error("alert delivery status write failed", { alertId, kind, error: err });
+      }
+    } catch (err) {
+      console.error("alert delivery failed", { alertId, kind, attempts: message.attempts, error: err });
+      message.retry({ delaySeconds: queueRetryDelay(message.attempts) });
+    }
+  }
+}
+
+// Evaluate messages carry no `kind`; their alert is still due, and once its lease is cleared a later tick
+// enqueues it again.
+async function handleDeadLetters(batch, env) {
+  const store = await getSearchStore(env);
+  for (const message of batch.messages) {
+    const { alertId, kind = null, checkedAt = null } = message.body || {};
+    console.error("alert queue message dead-lettered", { alertId, kind: kind || "evaluate", checkedAt });
+    try {
+      if (store && alertId) {
+        const failedAt = new Date().toISOString();
+        await store.update(alertId, (current) => ({
+          ...current,
+          lastQueueFailure: { stage: kind ? "deliver" : "evaluate", kind, failedAt },
+          ...(kind ? { lastNotificationStatus: `${kind === "removed" ? "departure" : "arrival"} notice dropped after retries` } : {}),
+        }));
+        if (!kind) await store.setEnqueuedAt([alertId], null);
+      }
+    } catch (err) {
+      console.error("dead letter record failed", { alertId, error: err });
+    }
+    message.ack();
+  }
+}
+
+function queueRetryDelay(attempts = 1) {
+  return Math.min(QUEUE_RETRY_MAX_SECONDS, QUEUE_RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+// The record fields the scheduler reads; queue leases (`enqueuedAt`) are kept apart by setEnqueuedAt.
+const ALERT_SCHEDULE_FIELDS = ["createdAt", "schedule", "timeZone", "quietHours", "lastCheckedAt"];
+
+function scheduleEntry(record) {
+  const entry = {};
+  for (const field of ALERT_SCHEDULE_FIELDS) entry[field] = record?.[field] ?? null;
+  return entry;
+}
+
+// Alerts whose schedule has come round and that are outside their quiet hours, most overdue first.
+function selectDueAlerts(searches, now = new Date()) {
+  return searches
+    .map((search) => ({ search, dueSince: alertDueSince(search, now) }))
+    .filter(({ search, dueSince }) => dueSince !== null && !inQuietHours(search, now))
+    .sort((a, b) => a.dueSince - b.dueSince)
+    .slice(0, MAX_ALERTS_PER_TICK)
+    .map(({ search }) => search);
+}
+
+// Epoch ms of the slot the alert is waiting on, or null when it is not due yet.
+function alertDueSince(search, now = new Date()) {
+  const schedule = normalizeAlertSchedule(search?.schedule);
+  const timeZone = search?.timeZone || DEFAULT_ALERT_TIME_ZONE;
+  const lastRun = Date.parse(search?.lastCheckedAt || search?.createdAt || "") || 0;
+  if (schedule.type === "daily") {
+    const slot = latestDailySlot(now, schedule.at, timeZone);
+    return lastRun < slot ? slot : null;
+  }
+  const next = lastRun + schedule.hours * 60 * 60 * 1000;
+  return now.getTime() >= next - ALERT_SCHEDULE_SLACK_MS ? next : null;
+}
+
+function inQuietHours(search, now = new Date()) {
+  const quiet = normalizeQuietHours(search?.quietHours);
+  if (!quiet) return false;
+  const { hour, minute } = zonedParts(now, search?.timeZone || DEFAULT_ALERT_TIME_ZONE);
+  const current = hour * 60 + minute;
+  const start = clockMinutes(quiet.start);
+  const end = clockMinutes(quiet.end);
+  // A window like 22:00-07:00 wraps past midnight.
+  return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
+// Most recent "HH:MM" local time at or before `now`, as epoch ms.
+function latestDailySlot(now, at, timeZone) {
+  const local = zonedParts(now, timeZone);
+  const [hour, minute] = at.split(":").map(Number);
+  const today = zonedTimeToEpoch({ ...local, hour, minute }, timeZone);
+  return today <= now.getTime() ? today : zonedTimeToEpoch({ ...local, day: local.day - 1, hour, minute }, timeZone);
+}
+
+const zonedFormatters = new Map();
+function zonedParts(date, timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Wall-clock time in `timeZone` -> epoch ms. Two passes settle the zone offset across DST changes.
+function zonedTimeToEpoch({ year, month, day, hour, minute }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (t) => {
+    const p = zonedParts(new Date(t), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(t / 60000) * 60000;
+  };
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+function clockMinutes(hhmm) {
+  const [hour, minute] = hhmm.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+// "7:30" -> "07:30"; null for anything that is not a 24-hour clock time.
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(normalizeText(value ?? ""));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || timeZone.length > 64) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Stored schedules fall back to the default; `strict` (saving an alert) rejects bad input instead.
+function normalizeAlertSchedule(input, { strict = false } = {}) {
+  const reject = (message) => {
+    if (strict) throw new Error(message);
+    return { ...DEFAULT_ALERT_SCHEDULE };
+  };
+  if (input === undefined || input === null || input === "") return { ...DEFAULT_ALERT_SCHEDULE };
+  const type = normalizeText(typeof input === "string" ? input : input.type).toLowerCase();
+  if (!ALERT_SCHEDULE_TYPES.has(type)) return reject("schedule.type must be one of: hourly, interval, daily");
+  if (type === "hourly") return { type, hours: 1 };
+  if (type === "interval") {
+    const hours = Number(input.hours);
+    if (!ALERT_INTERVAL_HOURS.has(hours)) {
+      return reject(`schedule.hours must be one of: ${Array.from(ALERT_INTERVAL_HOURS).join(", ")}`);
+    }
+    return { type, hours };
+  }
+  const at = parseClockTime(input.at ?? DEFAULT_ALERT_SCHEDULE.at);
+  if (!at) return reject("schedule.at must be a time like 07:30");
+  return { type, at };
+}
+
+function normalizeQuietHours(input, { strict = false } = {}) {
+  if (input === undefined || input === null || input === "") return null;
+  const start = parseClockTime(input.start);
+  const end = parseClockTime(input.end);
+  if (!start || !end || start === end) {
+    if (strict) throw new Error("quietHours needs a start and a different end, like 22:00 and 07:00");
+    return null;
+  }
+  return { start, end };
+}
+
+// Returns the alert's matching rows plus the ids of yards that failed (or only had a stale copy).
+async function runSavedSearch(search, env = null, snapshots = createSnapshotReader(env)) {
+  const { rows, failedYardIds } = await fetchAlertQuery(alertQuery(search), env, snapshots);
+  return { rows: filterAlertRows(search, rows), failedYardIds };
+}
+
+// An alert watching several models queries the whole make once and keeps its models locally.
+function alertQuery(search) {
+  const { models } = alertCriteria(search);
+  return {
+    VehicleMake: (search?.VehicleMake || search?.make || "").toString().trim(),
+    VehicleModel: models.length === 1 ? models[0] : "",
+  };
+}
+
+// Every yard's rows for one make/model, before any per-alert filtering.
+async function fetchAlertQuery({ VehicleMake, VehicleModel }, env = null, snapshots = createSnapshotReader(env)) {
+  if (!VehicleMake) return { rows: [], failedYardIds: new Set(), statuses: [] };
+
+  const { values, statuses } = await runYardPool(await getYards(env), async (y) => {
+    const { rows, ...meta } = await searchYardInventory(y, { VehicleMake, VehicleModel }, { env, snapshots });
+    return { value: rows, ...meta };
+  });
+  const failedYardIds = new Set(statuses.filter((s) => s.status !== "ok").map((s) => String(s.id)));
+  return { rows: values.flat(), failedYardIds, statuses };
+}
+
+function filterAlertRows(search, rows) {
+  const { minYear, maxYear } = deriveYearRange(search);
+  const { models, excludeModels, yardIds, includeRows, excludeRows } = alertCriteria(search);
+  return rows.filter((r) => {
+    if (minYear !== null && Number(r.year) < minYear) return false;
+    if (maxYear !== null && Number(r.year) > maxYear) return false;
+    const model = normalizeText(r.model).toUpperCase();
+    if (models.length > 1 && !models.includes(model)) return false;
+    if (excludeModels.includes(model)) return false;
+    if (yardIds.length && !yardIds.includes(String(r.yardId))) return false;
+    const rowNumber = parseRowNumber(r.row);
+    if (includeRows.length && !inRowRanges(rowNumber, includeRows)) return false;
+    if (excludeRows.length && inRowRanges(rowNumber, excludeRows)) return false;
+    return true;
+  });
+}
+
+// The alert's criteria lists, read leniently from a stored record; alerts saved before model lists
+// existed carry their single model in VehicleModel.
+function alertCriteria(search) {
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const legacyModel = normalizeText(search?.VehicleModel || search?.model || "").toUpperCase();
+  const models = list(search?.VehicleModels).map((m) => normalizeText(m).toUpperCase()).filter(Boolean);
+  return {
+    models: models.length ? models : legacyModel ? [legacyModel] : [],
+    excludeModels: list(search?.excludeModels).map((m) => normalizeText(m).toUpperCase()).filter(Boolean),
+    yardIds: list(search?.yardIds).map(String),
+    includeRows: list(search?.includeRows).filter((r) => Number.isInteger(r?.from) && Number.isInteger(r?.to)),
+    excludeRows: list(search?.excludeRows).filter((r) => Number.isInteger(r?.from) && Number.isInteger(r?.to)),
+  };
+}
+
+// Leading number of a row label ("12", "12B", "Row 12" -> 12); null when there is none.
+function parseRowNumber(row) {
+  const match = /\d+/.exec(String(row ?? ""));
+  return match ? Number(match[0]) : null;
+}
+
+function inRowRanges(rowNumber, ranges) {
+  return rowNumber !== null && ranges.some(({ from, to }) => rowNumber >= from && rowNumber <= to);
+}
+
+// One fan-out per distinct make/model per sweep, shared by every alert watching it. Tallies where each
+// yard's rows came from into `stats`.
+function createSweepQueries(env, snapshots, stats) {
+  const pending = new Map();
+  return {
+    run(search) {
+      const query = alertQuery(search);
+      const key = `${query.VehicleMake.toUpperCase()}|${query.VehicleModel.toUpperCase()}`;
+      if (!pending.has(key)) {
+        stats.queries += 1;
+        pending.set(
+          key,
+          fetchAlertQuery(query, env, snapshots).then((result) => {
+            for (const s of result.statuses) {
+              if (s.status !== "ok") stats.failedFetches += 1;
+              else if (s.source === "snapshot") stats.snapshotHits += 1;
+              else if (s.cached) stats.cacheHits += 1;
+              else stats.upstreamFetches += 1;
+            }
+            return result;
+          })
+        );
+      }
+      return pending.get(key);
+    },
+  };
+}
+
+function deriveYearRange(source, { strict = false } = {}) {
+  const minYear = parseOptionalYear(source?.VehicleMinYear ?? source?.minYear, { strict });
+  const maxYear = parseOptionalYear(source?.VehicleMaxYear ?? source?.maxYear, { strict });
+  const singleYear = parseOptionalYear(source?.VehicleYear ?? source?.year, { strict });
+
+  let normalizedMin = minYear ?? singleYear;
+  let normalizedMax = maxYear ?? singleYear;
+
+  if (normalizedMin !== null && normalizedMax !== null && normalizedMin > normalizedMax) {
+    if (strict) throw new Error("VehicleMinYear must be before VehicleMaxYear");
+    const hi = Math.max(normalizedMin, normalizedMax);
+    normalizedMin = Math.min(normalizedMin, normalizedMax);
+    normalizedMax = hi;
+  }
+
+  return { minYear: normalizedMin, maxYear: normalizedMax };
+}
+
+function parseOptionalYear(value, { strict = false } = {}) {
+  const text = (value ?? "").toString().trim();
+  if (!text) return null;
+  const n = Number(text);
+  const valid = Number.isFinite(n) && n >= 1900 && n <= 2100;
+  if (!valid) {
+    if (strict) throw new Error("Vehicle year must be between 1900 and 2100.");
+    return null;
+  }
+  return n;
 }
 
 function yearRangesEqual(a, b) {
   return (a?.minYear ?? null) === (b?.minYear ?? null) && (a?.maxYear ?? null) === (b?.maxYear ?? null);
 }
 
-function diffNewVehicles(current, previous) {
-  const prevKeys = new Set((previous || []).map(inventoryKey));
-  return (current || []).filter((row) => !prevKeys.has(inventoryKey(row)));
+function diffNewVehicles(current, previous) {
+  const prevKeys = new Set((previous || []).map(inventoryKey));
+  return (current || []).filter((row) => !prevKeys.has(inventoryKey(row)));
+}
+
+// Vehicle matching: `inventoryKey` includes the row, so a car the yard relocates shows up as one
+// disappearance plus one appearance. Within a yard/year/make/model, such pairs are matched as moves
+// (rows paired in sorted order); only what is left over counts as added or removed.
+function matchVehicleChanges(current, previous) {
+  const appeared = diffNewVehicles(current, previous);
+  const disappeared = diffNewVehicles(previous, current);
+  const identity = (r) => [r?.yardId, r?.year, r?.make, r?.model].map((v) => String(v || "")).join(":");
+  const byRow = (a, b) => String(a.row || "").localeCompare(String(b.row || ""), undefined, { numeric: true });
+
+  const pending = new Map();
+  for (const r of [...disappeared].sort(byRow)) {
+    const id = identity(r);
+    if (!pending.has(id)) pending.set(id, []);
+    pending.get(id).push(r);
+  }
+
+  const added = [];
+  const moved = [];
+  for (const r of [...appeared].sort(byRow)) {
+    const from = pending.get(identity(r))?.shift();
+    if (from) moved.push({ from, to: r });
+    else added.push(r);
+  }
+  const removed = [...pending.values()].flat();
+  return { added, removed, moved };
+}
+
+function inventoryKey(row) {
+  return [row?.yardId, row?.year, row?.make, row?.model, row?.row].map((v) => String(v || "")).join(":");
+}
+
+function groupRowsByYard(rows) {
+  const byYard = new Map();
+  for (const r of rows || []) {
+    const yardId = String(r?.yardId || "");
+    if (!byYard.has(yardId)) byYard.set(yardId, []);
+    byYard.get(yardId).push(r);
+  }
+  return byYard;
+}
+
+// Adds firstSeenAt / lastSeenAt / daysOnLot from the sighting history. Tracking starts with the first
+// crawl or sweep that saw a vehicle, so daysOnLot is a lower bound; unseen rows get nulls.
+async function attachSightings(rows, env) {
+  let sightings = new Map();
+  try {
+    const store = await getSearchStore(env);
+    if (store && rows.length) sightings = await store.getSightings(rows);
+  } catch (err) {
+    console.error("sighting lookup failed", { error: err });
+  }
+  const now = Date.now();
+  return rows.map((r) => {
+    const seen = sightings.get(inventoryKey(r));
+    const first = Date.parse(seen?.firstSeenAt || "");
+    return {
+      ...r,
+      firstSeenAt: seen?.firstSeenAt || null,
+      lastSeenAt: seen?.lastSeenAt || null,
+      daysOnLot: Number.isFinite(first) ? Math.max(0, Math.floor((now - first) / DAY_MS)) : null,
+    };
+  });
+}
+
+function getAlertsKv(env) {
+  return env?.ALERTS || env?.SAVED_SEARCHES || null;
+}
+
+// The `ALERT_EVENTS` D1 database with its schema applied, or null when unbound.
+async function getD1(env) {
+  if (!env?.ALERT_EVENTS) return null;
+  if (!d1SchemaReady) {
+    await ensureD1Schema(env.ALERT_EVENTS);
+    d1SchemaReady = true;
+  }
+  return env.ALERT_EVENTS;
+}
+
+// Returns the alert store for this environment (null when no binding is configured).
+// D1 (`ALERT_EVENTS`) wins when bound; otherwise alerts live in KV.
+async function getSearchStore(env) {
+  const kv = getAlertsKv(env);
+  const db = await getD1(env);
+  let store = null;
+  if (db) {
+    store = createD1AlertStore(db, kv);
+  } else if (kv) {
+    store = createKvAlertStore(kv);
+  }
+  if (!store) return null;
+  if (!legacyMigrationChecked) {
+    await store.migrateLegacy();
+    legacyMigrationChecked = true;
+  }
+  return store;
+}
+
+// One KV record per alert (`alert:<id>`) plus one empty marker key per owner/alert pair
+// (`alert-by-owner:<ownerKey>:<id>`), so concurrent writers never rewrite each other's data.
+// `kv` only needs get/put/delete/list, which keeps the store easy to back with an in-memory fake.
+function createKvAlertStore(kv) {
+  const recordKey = (id) => `${ALERT_RECORD_KV_PREFIX}${id}`;
+  const ownerKeyFor = (ownerKey, id) => `${ALERT_OWNER_INDEX_KV_PREFIX}${ownerKey}:${id}`;
+  const leaseKey = (id) => `${ALERT_LEASE_KV_PREFIX}${id}`;
+
+  // Keys under `prefix` as { name, metadata }, across every list page.
+  async function listEntries(prefix) {
+    const entries = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix, cursor });
+      entries.push(...(page.keys || []));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return entries;
+  }
+
+  async function listKeys(prefix) {
+    return (await listEntries(prefix)).map((k) => k.name);
+  }
+
+  async function get(id) {
+    if (!id) return null;
+    return (await kv.get(recordKey(id), { type: "json" })) || null;
+  }
+
+  async function getMany(ids) {
+    const records = await Promise.all(ids.map(get));
+    return records.filter(Boolean);
+  }
+
+  async function listIds() {
+    return (await listKeys(ALERT_RECORD_KV_PREFIX)).map((name) => name.slice(ALERT_RECORD_KV_PREFIX.length));
+  }
+
+  async function getAccount(id) {
+    if (!id) return null;
+    return (await kv.get(`${ACCOUNT_KV_PREFIX}${id}`, { type: "json" })) || null;
+  }
+
+  async function put(record) {
+    if (!record?.id) throw new Error("alert record requires an id");
+    // The schedule fields ride along as list metadata, so a tick lists them without reading records and
+    // they change in the same write as the record.
+    await kv.put(recordKey(record.id), JSON.stringify(record), { metadata: scheduleEntry(record) });
+    if (record.ownerKey) await kv.put(ownerKeyFor(record.ownerKey, record.id), "");
+    return record;
+  }
+
+  return {
+    kv,
+    get,
+    put,
+    listIds,
+    // Records saved before schedule metadata existed are read in full until their next write.
+    async listSchedules() {
+      const leases = new Map(
+        (await listEntries(ALERT_LEASE_KV_PREFIX)).map((k) => [k.name.slice(ALERT_LEASE_KV_PREFIX.length), k.metadata?.enqueuedAt ?? null])
+      );
+      const schedules = [];
+      for (const { name, metadata } of await listEntries(ALERT_RECORD_KV_PREFIX)) {
+        const id = name.slice(ALERT_RECORD_KV_PREFIX.length);
+        const record = metadata ? null : await get(id);
+        if (!metadata && !record) continue;
+        schedules.push({ id, ...(metadata || scheduleEntry(record)), enqueuedAt: leases.get(id) ?? null });
+      }
+      return schedules;
+    },
+    // A lease expires on its own, so one that is never released cannot hold an alert back for good.
+    async setEnqueuedAt(ids, enqueuedAt) {
+      for (const id of ids) {
+        if (!enqueuedAt) await kv.delete(leaseKey(id));
+        else await kv.put(leaseKey(id), enqueuedAt, { metadata: { enqueuedAt }, expirationTtl: ALERT_QUEUE_LEASE_MS / 1000 });
+      }
+    },
+    async listAll() {
+      return await getMany(await listIds());
+    },
+    async countAll() {
+      return (await listIds()).length;
+    },
+    async listByOwner(ownerKey) {
+      const prefix = `${ALERT_OWNER_INDEX_KV_PREFIX}${ownerKey}:`;
+      const ids = (await listKeys(prefix)).map((name) => name.slice(prefix.length));
+      const records = await getMany(ids);
+      return records
+        .filter((r) => r.ownerKey === ownerKey)
+        .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+    },
+    // Applies `mutate` to the latest stored copy; returns null (and writes nothing) if the alert is gone.
+    async update(id, mutate) {
+      const current = await get(id);
+      if (!current) return null;
+      const next = mutate(current);
+      await put(next);
+      if (current.ownerKey && current.ownerKey !== next.ownerKey) await kv.delete(ownerKeyFor(current.ownerKey, id));
+      return next;
+    },
+    async listByEndpoint(endpoint) {
+      const all = await getMany(await listIds());
+      return all.filter((r) => normalizeText(r.pushEndpoint || "") === endpoint);
+    },
+    async delete(id) {
+      const current = await get(id);
+      await kv.delete(recordKey(id));
+      if (current?.ownerKey) await kv.delete(ownerKeyFor(current.ownerKey, id));
+      await kv.delete(leaseKey(id));
+      return current;
+    },
+    // Copies the legacy `saved-searches` array into per-alert records, then removes the blob.
+    // Safe to re-run: records are keyed by their existing ids.
+    async migrateLegacy() {
+      const legacy = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
+      if (!Array.isArray(legacy)) return 0;
+      let migrated = 0;
+      for (const search of legacy) {
+        if (!search?.id) continue;
+        if (!(await get(search.id))) {
+          await put(search);
+          migrated++;
+        }
+      }
+      await kv.delete(SAVED_SEARCHES_KV_KEY);
+      return migrated;
+    },
+    // One alert's inbox, or every alert's on the subscription merged newest first.
+    async listNotifications(endpoint, alertId = null) {
+      if (!endpoint) return [];
+      await splitSharedInbox(kv, endpoint);
+      if (alertId) return await readInbox(kv, endpoint, alertId);
+      const inboxes = await Promise.all((await listKeys(`${await inboxPrefix(endpoint)}:`)).map((key) => kv.get(key, { type: "json" })));
+      return inboxes
+        .flatMap((entries) => (Array.isArray(entries) ? entries : []))
+        .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    },
+    async recordNotification(endpoint, entry) {
+      await appendToInbox(kv, endpoint, entry);
+    },
+    async markNotificationsRead(endpoint, alertId, ids, readAt) {
+      await splitSharedInbox(kv, endpoint);
+      let marked = 0;
+      await updateInbox(kv, endpoint, alertId, (all) =>
+        all.map((e) => {
+          if (e.readAt || (ids && !ids.has(e.id))) return e;
+          marked++;
+          return { ...e, readAt };
+        })
+      );
+      return marked;
+    },
+    async deleteNotificationsForAlert(endpoint, alertId) {
+      if (!endpoint) return;
+      await splitSharedInbox(kv, endpoint);
+      await kv.delete(await inboxKey(endpoint, alertId));
+    },
+    // Each yard's sightings are one read-modify-write map, so only the crawler writes them: it handles one
+    // yard per tick, and sweeps or queue consumers overlapping it would drop first sightings.
+    sightingsFromCrawlsOnly: true,
+    async recordSightings(rows, seenAt) {
+      const byYard = groupRowsByYard(rows);
+      const cutoff = Date.parse(seenAt) - SIGHTING_RETENTION_DAYS * DAY_MS;
+      for (const [yardId, yardRows] of byYard) {
+        const key = `${VEHICLE_SIGHTINGS_KV_PREFIX}${yardId}`;
+        const seen = (await kv.get(key, { type: "json" })) || {};
+        for (const r of yardRows) {
+          const k = inventoryKey(r);
+          // Rows may carry an earlier firstSeenAt (a row move); the earliest sighting wins.
+          const first = [seen[k]?.[0], r.firstSeenAt, seenAt].filter(Boolean).sort()[0];
+          seen[k] = [first, seenAt];
+        }
+        // Drop vehicles not seen for the retention window so the map stays small.
+        for (const [k, [, last]] of Object.entries(seen)) if (Date.parse(last) < cutoff) delete seen[k];
+        await kv.put(key, JSON.stringify(seen));
+      }
+    },
+    // inventoryKey -> { firstSeenAt, lastSeenAt } for the rows that have been seen before.
+    async getSightings(rows) {
+      const out = new Map();
+      for (const [yardId, yardRows] of groupRowsByYard(rows)) {
+        const seen = (await kv.get(`${VEHICLE_SIGHTINGS_KV_PREFIX}${yardId}`, { type: "json" })) || {};
+        for (const r of yardRows) {
+          const hit = seen[inventoryKey(r)];
+          if (hit) out.set(inventoryKey(r), { firstSeenAt: hit[0], lastSeenAt: hit[1] });
+        }
+      }
+      return out;
+    },
+    getAccount,
+    async findAccountByEmail(email) {
+      const id = await kv.get(`${ACCOUNT_EMAIL_KV_PREFIX}${await hashString(email)}`);
+      return id ? await getAccount(id) : null;
+    },
+    async putAccount(account) {
+      await kv.put(`${ACCOUNT_KV_PREFIX}${account.id}`, JSON.stringify(account));
+      await kv.put(`${ACCOUNT_EMAIL_KV_PREFIX}${await hashString(account.email)}`, account.id);
+      return account;
+    },
+    async listSubscriptions(ownerKey) {
+      if (!ownerKey) return [];
+      const names = await listKeys(`${SUBSCRIPTION_KV_PREFIX}${ownerKey}:`);
+      const subs = await Promise.all(names.map((name) => kv.get(name, { type: "json" })));
+      return subs.filter(Boolean);
+    },
+    async putSubscription(ownerKey, { endpoint, p256dh, auth }) {
+      const key = `${SUBSCRIPTION_KV_PREFIX}${ownerKey}:${await hashString(endpoint)}`;
+      const existing = await kv.get(key, { type: "json" });
+      const now = new Date().toISOString();
+      const record = { endpoint, p256dh, auth, createdAt: existing?.createdAt || now, updatedAt: now };
+      await kv.put(key, JSON.stringify(record));
+      return record;
+    },
+    async deleteSubscription(ownerKey, endpoint) {
+      await kv.delete(`${SUBSCRIPTION_KV_PREFIX}${ownerKey}:${await hashString(endpoint)}`);
+    },
+    // Returns true the first time a nonce is seen; KV expiry cleans up after the token lifetime.
+    async consumeLoginNonce(nonce, expiresAt) {
+      const key = `${LOGIN_NONCE_KV_PREFIX}${nonce}`;
+      if (await kv.get(key)) return false;
+      const ttl = Math.max(60, Math.ceil((expiresAt - Date.now()) / 1000));
+      await kv.put(key, "1", { expirationTtl: ttl });
+      return true;
+    },
+    // Counts one attempt against `key` in a fixed window and returns the window's count so far.
+    async countLoginAttempt(key, windowSeconds) {
+      const kvKey = `${LOGIN_ATTEMPTS_KV_PREFIX}${key}`;
+      const now = Date.now();
+      const current = await kv.get(kvKey, { type: "json" });
+      const open = current && current.windowEndsAt > now;
+      const windowEndsAt = open ? current.windowEndsAt : now + windowSeconds * 1000;
+      const count = (open ? current.count : 0) + 1;
+      const ttl = Math.max(60, Math.ceil((windowEndsAt - now) / 1000));
+      await kv.put(kvKey, JSON.stringify({ count, windowEndsAt }), { expirationTtl: ttl });
+      return count;
+    },
+  };
+}
+
+const D1_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS alerts (
+    id TEXT PRIMARY KEY,
+    owner_key TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    vehicle_make TEXT NOT NULL,
+    vehicle_model TEXT,
+    vehicle_year INTEGER,
+    min_year INTEGER,
+    max_year INTEGER,
+    push_endpoint TEXT,
+    last_snapshot TEXT,
+    last_notified_at TEXT,
+    last_notification_status TEXT,
+    last_notification_payload TEXT,
+    extra TEXT
+  )`,
+  "CREATE INDEX IF NOT EXISTS alerts_owner_idx ON alerts (owner_key)",
+  `CREATE TABLE IF NOT EXISTS subscriptions (
+    endpoint TEXT PRIMARY KEY,
+    p256dh TEXT,
+    auth TEXT,
+    owner_key TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS vehicle_sightings (
+    inventory_key TEXT PRIMARY KEY,
+    yard_id TEXT NOT NULL,
+    yard_name TEXT,
+    year INTEGER,
+    make TEXT,
+    model TEXT,
+    row_label TEXT,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS vehicle_sightings_make_idx ON vehicle_sightings (make, model)",
+  `CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id TEXT PRIMARY KEY,
+    alert_id TEXT NOT NULL,
+    endpoint TEXT,
+    created_at TEXT NOT NULL,
+    read_at TEXT,
+    status TEXT,
+    payload TEXT
+  )`,
+  "CREATE INDEX IF NOT EXISTS notification_deliveries_endpoint_idx ON notification_deliveries (endpoint, created_at)",
+  "CREATE INDEX IF NOT EXISTS notification_deliveries_alert_idx ON notification_deliveries (alert_id)",
+  `CREATE TABLE IF NOT EXISTS accounts (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+  )`,
+  "CREATE INDEX IF NOT EXISTS subscriptions_owner_idx ON subscriptions (owner_key)",
+  `CREATE TABLE IF NOT EXISTS login_nonces (
+    nonce TEXT PRIMARY KEY,
+    expires_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL,
+    window_ends_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS yard_snapshots (
+    yard_id TEXT PRIMARY KEY,
+    yard_name TEXT NOT NULL,
+    crawled_at TEXT NOT NULL,
+    make_count INTEGER NOT NULL,
+    failed_makes TEXT NOT NULL,
+    rows TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS vehicle_departures (
+    inventory_key TEXT NOT NULL,
+    departed_at TEXT NOT NULL,
+    yard_id TEXT NOT NULL,
+    year INTEGER,
+    make TEXT NOT NULL,
+    model TEXT,
+    row_label TEXT,
+    first_seen_at TEXT NOT NULL,
+    days_on_lot REAL NOT NULL,
+    PRIMARY KEY (inventory_key, departed_at)
+  )`,
+  "CREATE INDEX IF NOT EXISTS vehicle_departures_yard_make_idx ON vehicle_departures (yard_id, make)",
+  `CREATE TABLE IF NOT EXISTS yard_health_checks (
+    yard_id TEXT NOT NULL,
+    checked_at TEXT NOT NULL,
+    status TEXT NOT NULL,
+    make_count INTEGER NOT NULL,
+    probe_make TEXT,
+    row_count INTEGER NOT NULL,
+    problems TEXT NOT NULL,
+    PRIMARY KEY (yard_id, checked_at)
+  )`,
+  `CREATE TABLE IF NOT EXISTS alert_sweeps (
+    started_at TEXT PRIMARY KEY,
+    stats TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS alert_sweep_cursor (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    cursor TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS inventory_cache (
+    cache_key TEXT PRIMARY KEY,
+    rows TEXT NOT NULL,
+    fetched_at TEXT NOT NULL
+  )`,
+];
+
+async function ensureD1Schema(db) {
+  await db.batch(D1_SCHEMA.map((sql) => db.prepare(sql)));
+}
+
+// Alert fields with their own column; anything else on the record round-trips through `extra`.
+const D1_ALERT_COLUMNS = {
+  id: "id",
+  ownerKey: "owner_key",
+  createdAt: "created_at",
+  VehicleMake: "vehicle_make",
+  VehicleModel: "vehicle_model",
+  VehicleYear: "vehicle_year",
+  VehicleMinYear: "min_year",
+  VehicleMaxYear: "max_year",
+  pushEndpoint: "push_endpoint",
+  lastSnapshot: "last_snapshot",
+  lastNotifiedAt: "last_notified_at",
+  lastNotificationStatus: "last_notification_status",
+  lastNotificationPayload: "last_notification_payload",
+};
+const D1_JSON_FIELDS = new Set(["lastSnapshot", "lastNotificationPayload"]);
+// Subscription keys live in `subscriptions`, joined back in on read.
+const D1_SUBSCRIPTION_FIELDS = new Set(["pushAuth", "pushP256dh"]);
+
+const D1_ALERT_SELECT = `SELECT a.*, s.p256dh AS sub_p256dh, s.auth AS sub_auth
+  FROM alerts a LEFT JOIN subscriptions s ON s.endpoint = a.push_endpoint`;
+
+function alertFromD1Row(row) {
+  if (!row) return null;
+  const record = row.extra ? parseJsonOr(row.extra, {}) : {};
+  for (const [field, column] of Object.entries(D1_ALERT_COLUMNS)) {
+    const value = row[column];
+    record[field] = D1_JSON_FIELDS.has(field) ? parseJsonOr(value, null) : value ?? null;
+  }
+  record.VehicleModel = record.VehicleModel || "";
+  record.pushP256dh = row.sub_p256dh ?? null;
+  record.pushAuth = row.sub_auth ?? null;
+  return record;
+}
+
+function alertToD1Values(record) {
+  const extra = {};
+  for (const [k, v] of Object.entries(record)) {
+    if (!(k in D1_ALERT_COLUMNS) && !D1_SUBSCRIPTION_FIELDS.has(k)) extra[k] = v;
+  }
+  const values = Object.keys(D1_ALERT_COLUMNS).map((field) => {
+    const v = record[field];
+    if (D1_JSON_FIELDS.has(field)) return v === undefined || v === null ? null : JSON.stringify(v);
+    return v === undefined ? null : v;
+  });
+  values.push(Object.keys(extra).length ? JSON.stringify(extra) : null);
+  return values;
+}
+
+function parseJsonOr(text, fallback) {
+  if (text === null || text === undefined || text === "") return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function createD1AlertStore(db, kv = null) {
+  const columns = [...Object.values(D1_ALERT_COLUMNS), "extra"];
+  // The queue lease in `extra` is owned by setEnqueuedAt; a save from an older read must not bring one back.
+  const upsertValue = (c) =>
+    c === "extra" ? "json_set(COALESCE(excluded.extra, '{}'), '$.enqueuedAt', json_extract(alerts.extra, '$.enqueuedAt'))" : `excluded.${c}`;
+  const upsertAlertSql = `INSERT INTO alerts (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})
+    ON CONFLICT(id) DO UPDATE SET ${columns
+      .filter((c) => c !== "id")
+      .map((c) => `${c} = ${upsertValue(c)}`)
+      .join(", ")}`;
+
+  function upsertSubscription(record, now) {
+    return db
+      .prepare(
+        `INSERT INTO subscriptions (endpoint, p256dh, auth, owner_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(endpoint) DO UPDATE SET p256dh = excluded.p256dh, auth = excluded.auth,
+           owner_key = excluded.owner_key, updated_at = excluded.updated_at`
+      )
+      .bind(record.pushEndpoint, record.pushP256dh || null, record.pushAuth || null, record.ownerKey || null, now, now);
+  }
+
+  async function get(id) {
+    if (!id) return null;
+    return alertFromD1Row(await db.prepare(`${D1_ALERT_SELECT} WHERE a.id = ?`).bind(id).first());
+  }
+
+  async function put(record) {
+    if (!record?.id) throw new Error("alert record requires an id");
+    const statements = [db.prepare(upsertAlertSql).bind(...alertToD1Values(record))];
+    // A dead endpoint keeps its row for the join but must not be re-attached to the owner's devices.
+    if (record.pushEndpoint && !record.pushInactiveAt) statements.unshift(upsertSubscription(record, new Date().toISOString()));
+    await db.batch(statements);
+    return record;
+  }
+
+  return {
+    kv,
+    get,
+    put,
+    async listIds() {
+      const { results } = await db.prepare("SELECT id FROM alerts ORDER BY created_at").all();
+      return (results || []).map((r) => r.id);
+    },
+    async listAll() {
+      const { results } = await db.prepare(`${D1_ALERT_SELECT} ORDER BY a.created_at`).all();
+      return (results || []).map(alertFromD1Row);
+    },
+    async countAll() {
+      const row = await db.prepare("SELECT COUNT(*) AS n FROM alerts").first();
+      return Number(row?.n || 0);
+    },
+    // One query over the schedule fields in `extra`; the snapshots stay unread.
+    async listSchedules() {
+      const { results } = await db
+        .prepare(
+          `SELECT id, created_at, json_extract(extra, '$.schedule') AS schedule, json_extract(extra, '$.timeZone') AS time_zone,
+             json_extract(extra, '$.quietHours') AS quiet_hours, json_extract(extra, '$.lastCheckedAt') AS last_checked_at,
+             json_extract(extra, '$.enqueuedAt') AS enqueued_at
+           FROM alerts`
+        )
+        .all();
+      // json_extract hands objects back as JSON text and strings as plain text.
+      const value = (v) => (typeof v === "string" ? parseJsonOr(v, v) : v ?? null);
+      return (results || []).map((r) => ({
+        id: r.id,
+        createdAt: r.created_at,
+        schedule: value(r.schedule),
+        timeZone: r.time_zone ?? null,
+        quietHours: value(r.quiet_hours),
+        lastCheckedAt: r.last_checked_at ?? null,
+        enqueuedAt: r.enqueued_at ?? null,
+      }));
+    },
+    // Sets the lease inside `extra` without reading the rows back.
+    async setEnqueuedAt(ids, enqueuedAt) {
+      if (!ids.length) return;
+      const sql = "UPDATE alerts SET extra = json_set(COALESCE(extra, '{}'), '$.enqueuedAt', ?) WHERE id = ?";
+      await db.batch(ids.map((id) => db.prepare(sql).bind(enqueuedAt, id)));
+    },
+    async listByOwner(ownerKey) {
+      const { results } = await db.prepare(`${D1_ALERT_SELECT} WHERE a.owner_key = ? ORDER BY a.created_at`).bind(ownerKey).all();
+      return (results || []).map(alertFromD1Row);
+    },
+    async listByEndpoint(endpoint) {
+      const { results } = await db.prepare(`${D1_ALERT_SELECT} WHERE a.push_endpoint = ? ORDER BY a.created_at`).bind(endpoint).all();
+      return (results || []).map(alertFromD1Row);
+    },
+    async update(id, mutate) {
+      const current = await get(id);
+      if (!current) return null;
+      const next = mutate(current);
+      await put(next);
+      return next;
+    },
+    async delete(id) {
+      const current = await get(id);
+      await db.prepare("DELETE FROM alerts WHERE id = ?").bind(id).run();
+      return current;
+    },
+    // Pulls alerts from the legacy blob and from per-alert KV records into D1, then clears them from KV.
+    async migrateLegacy() {
+      if (!kv) return 0;
+      const kvStore = createKvAlertStore(kv);
+      await kvStore.migrateLegacy();
+      let migrated = 0;
+      for (const record of await kvStore.listAll()) {
+        if (!(await get(record.id))) {
+          await put(record);
+          migrated++;
+        }
+        await kvStore.delete(record.id);
+      }
+      return migrated;
+    },
+    // The newest MAX_INBOX_ENTRIES rows of each alert, so a busy alert cannot push out the others.
+    async listNotifications(endpoint, alertId = null) {
+      if (!endpoint) return [];
+      const { results } = await db
+        .prepare(
+          `SELECT id, alert_id, created_at, read_at, status, payload FROM (
+             SELECT *, ROW_NUMBER() OVER (PARTITION BY alert_id ORDER BY created_at DESC) AS n FROM notification_deliveries
+             WHERE endpoint = ?1 AND (?2 IS NULL OR alert_id = ?2)
+           ) WHERE n <= ?3 ORDER BY created_at DESC`
+        )
+        .bind(endpoint, alertId, MAX_INBOX_ENTRIES)
+        .all();
+      return (results || []).map((r) => ({
+        id: r.id,
+        alertId: r.alert_id,
+        createdAt: r.created_at,
+        readAt: r.read_at || null,
+        status: r.status || null,
+        payload: parseJsonOr(r.payload, null),
+      }));
+    },
+    async recordNotification(endpoint, { alertId, createdAt, status, payload }) {
+      await db
+        .prepare(
+          `INSERT INTO notification_deliveries (id, alert_id, endpoint, created_at, read_at, status, payload)
+           VALUES (?, ?, ?, ?, NULL, ?, ?)`
+        )
+        .bind(crypto.randomUUID(), alertId, endpoint || null, createdAt, status || null, JSON.stringify(payload ?? null))
+        .run();
+    },
+    async markNotificationsRead(endpoint, alertId, ids, readAt) {
+      let sql = "UPDATE notification_deliveries SET read_at = ? WHERE endpoint = ? AND alert_id = ? AND read_at IS NULL";
+      const params = [readAt, endpoint, alertId];
+      if (ids) {
+        if (!ids.size) return 0;
+        sql += ` AND id IN (${Array.from(ids, () => "?").join(", ")})`;
+        params.push(...ids);
+      }
+      const result = await db.prepare(sql).bind(...params).run();
+      return Number(result?.meta?.changes || 0);
+    },
+    async deleteNotificationsForAlert(endpoint, alertId) {
+      await db.prepare("DELETE FROM notification_deliveries WHERE alert_id = ?").bind(alertId).run();
+    },
+    async recordSightings(rows, seenAt) {
+      if (!rows?.length) return;
+      const stmt = db.prepare(
+        `INSERT INTO vehicle_sightings (inventory_key, yard_id, yard_name, year, make, model, row_label, first_seen_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(inventory_key) DO UPDATE SET last_seen_at = excluded.last_seen_at, yard_name = excluded.yard_name,
+           first_seen_at = MIN(first_seen_at, excluded.first_seen_at)`
+      );
+      // Rows may carry an earlier firstSeenAt (a row move); the earliest sighting wins.
+      await db.batch(
+        rows.map((r) =>
+          stmt.bind(
+            inventoryKey(r),
+            String(r.yardId || ""),
+            r.yardName || null,
+            r.year ?? null,
+            r.make || null,
+            r.model || null,
+            r.row || null,
+            r.firstSeenAt && r.firstSeenAt < seenAt ? r.firstSeenAt : seenAt,
+            seenAt
+          )
+        )
+      );
+    },
+    async getSightings(rows) {
+      const out = new Map();
+      const keys = [...new Set((rows || []).map(inventoryKey))];
+      // D1 caps bound parameters per statement, so look keys up in chunks.
+      for (let i = 0; i < keys.length; i += 90) {
+        const chunk = keys.slice(i, i + 90);
+        const { results } = await db
+          .prepare(
+            `SELECT inventory_key, first_seen_at, last_seen_at FROM vehicle_sightings WHERE inventory_key IN (${chunk.map(() => "?").join(", ")})`
+          )
+          .bind(...chunk)
+          .all();
+        for (const r of results || []) out.set(r.inventory_key, { firstSeenAt: r.first_seen_at, lastSeenAt: r.last_seen_at });
+      }
+      return out;
+    },
+    async getAccount(id) {
+      if (!id) return null;
+      const row = await db.prepare("SELECT id, email, created_at FROM accounts WHERE id = ?").bind(id).first();
+      return row ? { id: row.id, email: row.email, createdAt: row.created_at } : null;
+    },
+    async findAccountByEmail(email) {
+      const row = await db.prepare("SELECT id, email, created_at FROM accounts WHERE email = ?").bind(email).first();
+      return row ? { id: row.id, email: row.email, createdAt: row.created_at } : null;
+    },
+    async putAccount(account) {
+      await db
+        .prepare("INSERT INTO accounts (id, email, created_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET email = excluded.email")
+        .bind(account.id, account.email, account.createdAt)
+        .run();
+      return account;
+    },
+    async listSubscriptions(ownerKey) {
+      if (!ownerKey) return [];
+      const { results } = await db
+        .prepare("SELECT endpoint, p256dh, auth, created_at, updated_at FROM subscriptions WHERE owner_key = ? ORDER BY created_at")
+        .bind(ownerKey)
+        .all();
+      return (results || []).map((r) => ({ endpoint: r.endpoint, p256dh: r.p256dh, auth: r.auth, createdAt: r.created_at, updatedAt: r.updated_at }));
+    },
+    async putSubscription(ownerKey, { endpoint, p256dh, auth }) {
+      const now = new Date().toISOString();
+      await upsertSubscription({ pushEndpoint: endpoint, pushP256dh: p256dh, pushAuth: auth, ownerKey }, now).run();
+      return { endpoint, p256dh, auth, updatedAt: now };
+    },
+    async deleteSubscription(ownerKey, endpoint) {
+      await db.prepare("UPDATE subscriptions SET owner_key = NULL WHERE owner_key = ? AND endpoint = ?").bind(ownerKey, endpoint).run();
+    },
+    async consumeLoginNonce(nonce, expiresAt) {
+      const now = new Date().toISOString();
+      await db.prepare("DELETE FROM login_nonces WHERE expires_at < ?").bind(now).run();
+      const result = await db
+        .prepare("INSERT OR IGNORE INTO login_nonces (nonce, expires_at) VALUES (?, ?)")
+        .bind(nonce, new Date(expiresAt).toISOString())
+        .run();
+      return Number(result?.meta?.changes || 0) === 1;
+    },
+    async countLoginAttempt(key, windowSeconds) {
+      const now = Date.now();
+      await db.prepare("DELETE FROM login_attempts WHERE window_ends_at < ?").bind(new Date(now).toISOString()).run();
+      const row = await db
+        .prepare(
+          `INSERT INTO login_attempts (key, count, window_ends_at) VALUES (?, 1, ?)
+           ON CONFLICT(key) DO UPDATE SET count = count + 1 RETURNING count`
+        )
+        .bind(key, new Date(now + windowSeconds * 1000).toISOString())
+        .first();
+      return Number(row?.count || 1);
+    },
+  };
+}
+
+async function handleAlerts(request, env, allowedOrigin = "*") {
+  const url = new URL(request.url);
+  const idFromPath = url.pathname.length > ALERT_ROUTE_PREFIX.length ? url.pathname.slice(ALERT_ROUTE_PREFIX.length + 1) : null;
+
+  if (request.method === "GET") {
+    if (url.pathname.endsWith("/public-key")) {
+      const vapid = await getVapidKeys(env);
+      const body = {
+        publicKey: vapid.publicKey,
+        persistedToKV: vapid.persistedToKV,
+      };
+      if (vapid.persistenceError) {
+        body.persistenceError = vapid.persistenceError;
+      }
+      return json(body, 200, { "Cache-Control": "public, max-age=300" }, allowedOrigin);
+    }
+
+    const store = await getSearchStore(env);
+    if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+    const ownerKey = await resolveOwnerKey(request, env);
+    if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+    const mine = await store.listByOwner(ownerKey);
+
+    const alerts = [];
+    for (const s of mine) {
+      const inbox = await store.listNotifications(normalizeText(s.pushEndpoint || ""), s.id);
+      alerts.push({ ...redactSearchForClient(s), unreadCount: inbox.filter((e) => !e.readAt).length });
+    }
+    return json({ count: alerts.length, alerts }, 200, {}, allowedOrigin);
+  }
+
+  if (request.method === "POST") {
+    const store = await getSearchStore(env);
+    if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+    const ownerKey = await resolveOwnerKey(request, env);
+    if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+    const payload = await readBodyParams(request);
+    let validated;
+    try {
+      validated = await validateAlertPayload(payload, env);
+    } catch (err) {
+      return json({ error: String(err?.message || err) }, 400, {}, allowedOrigin);
+    }
+
+    if ((await store.countAll()) >= MAX_ALERTS_TOTAL) {
+      return json({ error: "Alert capacity reached. Try again later." }, 429, {}, allowedOrigin);
+    }
+
+    const mine = await store.listByOwner(ownerKey);
+    if (mine.length >= MAX_ALERTS_PER_OWNER) {
+      return json({ error: "Too many saved alerts. Delete one before adding another." }, 429, {}, allowedOrigin);
+    }
+
+    const desiredRange = deriveYearRange(validated);
+    const duplicate = mine.find((s) => {
+      const range = deriveYearRange(s);
+      return (
+        normalizeText(s.VehicleMake) === validated.VehicleMake &&
+        JSON.stringify(alertCriteria(s)) === JSON.stringify(alertCriteria(validated)) &&
+        yearRangesEqual(range, desiredRange) &&
+        normalizeText(s.pushEndpoint || "") === normalizeText(validated.pushEndpoint || "") &&
+        normalizeText(s.email || "") === normalizeText(validated.email || "")
+      );
+    });
+    if (duplicate) {
+      return json({ error: "You already saved this search." }, 409, {}, allowedOrigin);
+    }
+
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    // The account's own email, or one this owner already confirmed, needs no confirmation link.
+    const account = validated.email ? await store.getAccount(ownerKey) : null;
+    const emailVerified =
+      !!validated.email && (account?.email === validated.email || mine.some((s) => s.email === validated.email && s.emailVerifiedAt));
+    const base = {
+      id,
+      ownerKey,
+      ownerKind: "token",
+      createdAt,
+      VehicleMake: validated.VehicleMake,
+      VehicleModel: validated.VehicleModel || "",
+      VehicleYear: validated.VehicleYear,
+      VehicleMinYear: validated.VehicleMinYear ?? null,
+      VehicleMaxYear: validated.VehicleMaxYear ?? null,
+      pushEndpoint: validated.pushEndpoint || null,
+      pushAuth: validated.pushAuth || null,
+      pushP256dh: validated.pushP256dh || null,
+      email: validated.email || null,
+      emailVerifiedAt: emailVerified ? createdAt : null,
+      webhooks: validated.webhooks,
+      notifyRemovals: validated.notifyRemovals,
+      schedule: validated.schedule,
+      timeZone: validated.timeZone,
+      quietHours: validated.quietHours,
+      VehicleModels: validated.VehicleModels,
+      excludeModels: validated.excludeModels,
+      yardIds: validated.yardIds,
+      includeRows: validated.includeRows,
+      excludeRows: validated.excludeRows,
+    };
+
+    try {
+      base.lastSnapshot = (await runSavedSearch(base, env)).rows;
+      base.lastCheckedAt = base.createdAt;
+    } catch (err) {
+      base.lastSnapshot = [];
+      base.lastNotificationStatus = `prefetch failed: ${String(err?.message || err)}`;
+    }
+
+    await store.put(base);
+    await registerDevice(store, ownerKey, {
+      endpoint: validated.pushEndpoint,
+      p256dh: validated.pushP256dh,
+      auth: validated.pushAuth,
+    });
+
+    const body = { ok: true, alert: redactSearchForClient(base) };
+    if (base.email && !base.emailVerifiedAt) {
+      body.emailConfirmation = await requestEmailConfirmation(base, store, resolveAppUrl(request, env, allowedOrigin), env);
+    }
+    return json(body, 201, {}, allowedOrigin);
+  }
+
+  if (request.method === "DELETE") {
+    const store = await getSearchStore(env);
+    if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+    const ownerKey = await resolveOwnerKey(request, env);
+    if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+    const id = (idFromPath || url.searchParams.get("id") || "").trim();
+    if (!id) return json({ error: "id is required" }, 400, {}, allowedOrigin);
+
+    const target = await store.get(id);
+    if (!target || target.ownerKey !== ownerKey) return json({ error: "Not found" }, 404, {}, allowedOrigin);
+
+    await store.delete(id);
+    await store.deleteNotificationsForAlert(target.pushEndpoint, id);
+    return json({ ok: true }, 200, {}, allowedOrigin);
+  }
+
+  return json({ error: "Method not allowed" }, 405, {}, allowedOrigin);
+}
+
+async function handleNotificationPoll(request, env, allowedOrigin = "*") {
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+  const body = await readBodyParams(request);
+  const endpoint = normalizeText(body.endpoint || "");
+  if (!endpoint) return json({ error: "endpoint is required" }, 400, {}, allowedOrigin);
+
+  // Newest entry across every alert on this subscription, not just the first matching alert.
+  const inbox = await store.listNotifications(endpoint);
+  const latest = inbox[0];
+  if (!latest) return json({ notification: null, unreadCount: 0 }, 200, {}, allowedOrigin);
+
+  return json(
+    {
+      notification: latest.payload || null,
+      lastNotifiedAt: latest.createdAt || null,
+      lastNotificationStatus: latest.status || null,
+      unreadCount: inbox.filter((e) => !e.readAt).length,
+    },
+    200,
+    {},
+    allowedOrigin
+  );
+}
+
+// `confirm` takes the token from a confirmation link (no owner token needed); `resend` mails a new link.
+async function handleAlertEmail(request, env, alertId, action, allowedOrigin = "*") {
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+  if (action === "confirm") {
+    const body = await readBodyParams(request);
+    const claims = await verifySignedToken(body.token, EMAIL_CONFIRM_TOKEN_VERSION, "email-confirm", env);
+    if (!claims || claims.alertId !== alertId) {
+      return json({ error: "Confirmation link is invalid or expired" }, 400, {}, allowedOrigin);
+    }
+    const confirmedAt = new Date().toISOString();
+    const updated = await store.update(alertId, (current) =>
+      current.email === claims.email ? { ...current, emailVerifiedAt: current.emailVerifiedAt || confirmedAt } : current
+    );
+    if (!updated || updated.email !== claims.email) {
+      return json({ error: "Confirmation link is invalid or expired" }, 400, {}, allowedOrigin);
+    }
+    return json({ ok: true, alertId, email: updated.email }, 200, {}, allowedOrigin);
+  }
+
+  const ownerKey = await resolveOwnerKey(request, env);
+  if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+  const alert = await store.get(alertId);
+  if (!alert || alert.ownerKey !== ownerKey) return json({ error: "Not found" }, 404, {}, allowedOrigin);
+  if (!alert.email) return json({ error: "This alert has no email address" }, 400, {}, allowedOrigin);
+  if (alert.emailVerifiedAt) return json({ ok: true, emailConfirmation: "already confirmed" }, 200, {}, allowedOrigin);
+  const emailConfirmation = await requestEmailConfirmation(alert, store, resolveAppUrl(request, env, allowedOrigin), env);
+  return json({ ok: true, emailConfirmation }, 200, {}, allowedOrigin);
+}
+
+// Mails a confirmation link for the alert's email; returns a short status for the client.
+// Shares the per-address sign-in limit, so alerts can't be used to flood someone's inbox.
+async function requestEmailConfirmation(search, store, appUrl, env) {
+  if (!appUrl) return "not sent (ALERT_APP_URL not configured)";
+  const attempts = await store.countLoginAttempt(`email:${await hashString(search.email)}`, LOGIN_RATE_LIMIT_WINDOW_SECONDS);
+  if (attempts > LOGIN_RATE_LIMIT_PER_EMAIL) return "not sent (too many emails to this address; try again later)";
+
+  const exp = Math.floor(Date.now() / 1000) + EMAIL_CONFIRM_TOKEN_TTL_SECONDS;
+  const token = await issueSignedToken(EMAIL_CONFIRM_TOKEN_VERSION, "email-confirm", { alertId: search.id, email: search.email, exp }, env);
+  const link = new URL(appUrl);
+  link.searchParams.set("confirmEmail", token);
+  link.searchParams.set("alert", search.id);
+  const detail = describeAlertTarget(search);
+  try {
+    await sendEmail(env, {
+      to: search.email,
+      subject: "Confirm your Jalopy Alerts email",
+      text: `Confirm this address to get digests for ${detail}: ${link}\n\nIf you didn't set up this alert, ignore this email.`,
+      html: `<p><a href="${escapeHtml(link.toString())}">Confirm this address</a> to get digests for ${escapeHtml(
+        detail
+      )}.</p><p>If you didn't set up this alert, ignore this email.</p>`,
+    });
+    return "sent";
+  } catch (err) {
+    return `failed: ${String(err?.message || err)}`;
+  }
+}
+
+async function handleAlertNotifications(request, env, alertId, action, allowedOrigin = "*") {
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+  const ownerKey = await resolveOwnerKey(request, env);
+  if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+  const alert = await store.get(alertId);
+  if (!alert || alert.ownerKey !== ownerKey) return json({ error: "Not found" }, 404, {}, allowedOrigin);
+  if (!alert.pushEndpoint) return json({ alertId, count: 0, unreadCount: 0, notifications: [] }, 200, {}, allowedOrigin);
+
+  if (action === "list" && request.method === "GET") {
+    const entries = await store.listNotifications(alert.pushEndpoint, alertId);
+    return json(
+      {
+        alertId,
+        count: entries.length,
+        unreadCount: entries.filter((e) => !e.readAt).length,
+        notifications: entries.map(redactInboxEntry),
+      },
+      200,
+      {},
+      allowedOrigin
+    );
+  }
+
+  if (action === "read" && request.method === "POST") {
+    const body = await readBodyParams(request);
+    const ids = Array.isArray(body.ids) ? new Set(body.ids.map((v) => normalizeText(v))) : null;
+    const marked = await store.markNotificationsRead(alert.pushEndpoint, alertId, ids, new Date().toISOString());
+    const mine = await store.listNotifications(alert.pushEndpoint, alertId);
+    return json({ ok: true, marked, unreadCount: mine.filter((e) => !e.readAt).length }, 200, {}, allowedOrigin);
+  }
+
+  return json({ error: "Method not allowed" }, 405, {}, allowedOrigin);
+}
+
+async function inboxPrefix(endpoint) {
+  return `${NOTIFICATION_INBOX_KV_PREFIX}${await hashString(normalizeText(endpoint))}`;
+}
+
+async function inboxKey(endpoint, alertId) {
+  return `${await inboxPrefix(endpoint)}:${alertId}`;
+}
+
+// One inbox per subscription and alert, newest first, capped at MAX_INBOX_ENTRIES: deliveries for
+// different alerts never rewrite the same key, and a busy alert only evicts its own history.
+async function readInbox(kv, endpoint, alertId) {
+  if (!endpoint || !alertId) return [];
+  const stored = await kv.get(await inboxKey(endpoint, alertId), { type: "json" });
+  return Array.isArray(stored) ? stored : [];
+}
+
+async function updateInbox(kv, endpoint, alertId, mutate) {
+  const entries = mutate(await readInbox(kv, endpoint, alertId)).slice(0, MAX_INBOX_ENTRIES);
+  await kv.put(await inboxKey(endpoint, alertId), JSON.stringify(entries));
+  return entries;
+}
+
+async function appendToInbox(kv, endpoint, { alertId, createdAt, status, payload }) {
+  if (!endpoint || !alertId) return;
+  const entry = { id: crypto.randomUUID(), alertId, createdAt, readAt: null, status, payload };
+  await updateInbox(kv, endpoint, alertId, (entries) => [entry, ...entries]);
+}
+
+// Inboxes used to be one blob per subscription; the first access splits it into per-alert keys.
+async function splitSharedInbox(kv, endpoint) {
+  const sharedKey = await inboxPrefix(endpoint);
+  const shared = await kv.get(sharedKey, { type: "json" });
+  if (!Array.isArray(shared)) return;
+  const byAlert = new Map();
+  for (const e of shared) {
+    if (!e?.alertId) continue;
+    if (!byAlert.has(e.alertId)) byAlert.set(e.alertId, []);
+    byAlert.get(e.alertId).push(e);
+  }
+  for (const [alertId, entries] of byAlert) {
+    await updateInbox(kv, endpoint, alertId, (current) =>
+      [...current, ...entries].sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+    );
+  }
+  await kv.delete(sharedKey);
+}
+
+function redactInboxEntry(entry) {
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    read: !!entry.readAt,
+    readAt: entry.readAt || null,
+    status: entry.status || null,
+    title: entry.payload?.title || null,
+    body: entry.payload?.body || null,
+    vehicles: Array.isArray(entry.payload?.data?.vehicles) ? entry.payload.data.vehicles : [],
+  };
+}
+
+function redactSearchForClient(search) {
+  const { id, VehicleMake, VehicleModel, VehicleYear, createdAt, lastNotifiedAt, lastNotificationStatus, pushEndpoint } = search || {};
+  const criteria = alertCriteria(search);
+  return {
+    id,
+    VehicleMake,
+    VehicleModel,
+    VehicleYear: VehicleYear ?? null,
+    VehicleMinYear: search?.VehicleMinYear ?? null,
+    VehicleMaxYear: search?.VehicleMaxYear ?? null,
+    hasPush: !!pushEndpoint,
+    pushActive: !!pushEndpoint && !search?.pushInactiveAt,
+    pushInactiveAt: search?.pushInactiveAt || null,
+    pushInactiveReason: search?.pushInactiveReason || null,
+    email: search?.email || null,
+    emailVerified: !!search?.email && !!search?.emailVerifiedAt,
+    webhooks: (Array.isArray(search?.webhooks) ? search.webhooks : []).map((hook) => redactWebhook(hook, search?.webhookStatus?.[hook.id])),
+    notifyRemovals: !!search?.notifyRemovals,
+    lastRowMoves: Array.isArray(search?.lastRowMoves) ? search.lastRowMoves : [],
+    VehicleModels: criteria.models,
+    excludeModels: criteria.excludeModels,
+    yardIds: criteria.yardIds,
+    includeRows: criteria.includeRows,
+    excludeRows: criteria.excludeRows,
+    schedule: normalizeAlertSchedule(search?.schedule),
+    timeZone: search?.timeZone || DEFAULT_ALERT_TIME_ZONE,
+    quietHours: normalizeQuietHours(search?.quietHours),
+    lastCheckedAt: search?.lastCheckedAt || null,
+    createdAt,
+    lastNotifiedAt: lastNotifiedAt || null,
+    lastNotificationStatus: lastNotificationStatus || null,
+  };
+}
+
+// Webhook URLs often embed credentials (Discord/Slack tokens), so only a hint goes back to the client.
+function redactWebhook(hook, status) {
+  let urlHint = null;
+  try {
+    const u = new URL(hook.url);
+    urlHint = `${u.host}/…${u.pathname.slice(-4)}`;
+  } catch (err) {
+    urlHint = null;
+  }
+  return {
+    id: hook.id,
+    format: hook.format,
+    urlHint,
+    signed: !!hook.secret,
+    lastDelivery: status || null,
+  };
+}
+
+async function validateAlertPayload(payload, env = null) {
+  const VehicleMake = normalizeText(payload.VehicleMake || payload.make || "");
+  const singleModel = normalizeText(payload.VehicleModel || payload.model || "");
+  const { minYear, maxYear } = deriveYearRange(payload, { strict: true });
+  const subscription = normalizeSubscription(payload.subscription || payload.pushSubscription || null);
+  const pushEndpoint = subscription?.endpoint || normalizeText(payload.pushEndpoint || "");
+  const pushAuth = subscription?.auth || normalizeText(payload.pushAuth || "");
+  const pushP256dh = subscription?.p256dh || normalizeText(payload.pushP256dh || "");
+  const rawEmail = normalizeText(payload.email || "");
+  const email = rawEmail ? normalizeEmail(rawEmail) : null;
+
+  if (!VehicleMake) throw new Error("VehicleMake is required");
+  if (VehicleMake.length > 48) throw new Error("VehicleMake too long");
+  if (singleModel.length > 64) throw new Error("VehicleModel too long");
+  const criteria = normalizeAlertCriteria(payload, singleModel, await getYards(env));
+  const VehicleModel = criteria.VehicleModels.length === 1 ? criteria.VehicleModels[0] : "";
+  if (rawEmail && !email) throw new Error("Email address is not valid");
+
+  const webhooks = normalizeWebhooks(payload.webhooks);
+  const schedule = normalizeAlertSchedule(payload.schedule, { strict: true });
+  const timeZone = normalizeText(payload.timeZone || "") || DEFAULT_ALERT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) throw new Error("timeZone is not a known IANA time zone");
+  const quietHours = normalizeQuietHours(payload.quietHours, { strict: true });
+
+  const hasPush = !!(pushEndpoint && pushAuth && pushP256dh);
+  if (!hasPush && !email && !webhooks.length) {
+    throw new Error("Push subscription (endpoint, auth, p256dh), an email address or a webhook is required");
+  }
+
+  return {
+    VehicleMake,
+    VehicleModel,
+    VehicleMinYear: minYear,
+    VehicleMaxYear: maxYear,
+    VehicleYear: minYear !== null && minYear === maxYear ? minYear : null,
+    pushEndpoint: hasPush ? pushEndpoint : "",
+    pushAuth: hasPush ? pushAuth : "",
+    pushP256dh: hasPush ? pushP256dh : "",
+    email,
+    webhooks,
+    // Opt-in: also notify when a matching vehicle disappears from the lot.
+    notifyRemovals: [true, "true", "1", "on"].includes(payload.notifyRemovals),
+    schedule,
+    timeZone,
+    quietHours,
+    ...criteria,
+  };
+}
+
+function normalizeAlertCriteria(payload, singleModel, yards) {
+  const models = normalizeModelList(payload.VehicleModels, "VehicleModels");
+  if (singleModel && !models.includes(singleModel.toUpperCase())) models.unshift(singleModel.toUpperCase());
+  if (models.length > MAX_CRITERIA_ENTRIES) throw new Error(`At most ${MAX_CRITERIA_ENTRIES} models per alert`);
+  const excludeModels = normalizeModelList(payload.excludeModels, "excludeModels");
+  const both = excludeModels.find((m) => models.includes(m));
+  if (both) throw new Error(`${both} is both watched and excluded`);
+
+  const known = new Set(yards.map((y) => String(y.id)));
+  const yardIds = normalizeCriteriaList(payload.yardIds, "yardIds").map((id) => normalizeText(id));
+  const unknown = yardIds.find((id) => !known.has(id));
+  if (unknown) throw new Error(`Unknown yard: ${unknown}`);
+
+  return {
+    VehicleModels: models,
+    excludeModels,
+    yardIds: Array.from(new Set(yardIds)),
+    includeRows: normalizeRowRanges(payload.includeRows, "includeRows"),
+    excludeRows: normalizeRowRanges(payload.excludeRows, "excludeRows"),
+  };
+}
+
+function normalizeCriteriaList(input, field) {
+  if (input === undefined || input === null || input === "") return [];
+  if (!Array.isArray(input)) throw new Error(`${field} must be an array`);
+  if (input.length > MAX_CRITERIA_ENTRIES) throw new Error(`At most ${MAX_CRITERIA_ENTRIES} entries in ${field}`);
+  return input;
+}
+
+function normalizeModelList(input, field) {
+  const models = normalizeCriteriaList(input, field).map((m) => normalizeText(m).toUpperCase()).filter(Boolean);
+  if (models.some((m) => m.length > 64)) throw new Error(`${field} entry too long`);
+  return Array.from(new Set(models));
+}
+
+// Ranges arrive as { from, to }, "1-10" or a single row "7".
+function normalizeRowRanges(input, field) {
+  return normalizeCriteriaList(input, field).map((range) => {
+    const text = typeof range === "object" && range !== null ? `${range.from}-${range.to}` : String(range);
+    const match = /^\s*(\d{1,4})\s*(?:[-–]\s*(\d{1,4}))?\s*$/.exec(text);
+    const from = match ? Number(match[1]) : NaN;
+    const to = match ? Number(match[2] ?? match[1]) : NaN;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+      throw new Error(`${field} entries must be rows or row ranges like 1-10`);
+    }
+    return { from, to };
+  });
+}
+
+function normalizeWebhooks(input) {
+  if (input === undefined || input === null || input === "") return [];
+  if (!Array.isArray(input)) throw new Error("webhooks must be an array");
+  if (input.length > MAX_WEBHOOKS_PER_ALERT) throw new Error(`At most ${MAX_WEBHOOKS_PER_ALERT} webhooks per alert`);
+  return input.map((hook) => {
+    const url = normalizeText(typeof hook === "string" ? hook : hook?.url);
+    const format = normalizeText(hook?.format || "json").toLowerCase();
+    const secret = normalizeText(hook?.secret || "");
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      throw new Error("Webhook URL is not valid");
+    }
+    if (parsed.protocol !== "https:") throw new Error("Webhook URL must use https");
+    if (url.length > 512) throw new Error("Webhook URL too long");
+    if (!WEBHOOK_FORMATS.has(format)) throw new Error(`Webhook format must be one of: ${Array.from(WEBHOOK_FORMATS).join(", ")}`);
+    if (secret.length > 128) throw new Error("Webhook secret too long");
+    return { id: crypto.randomUUID(), url, format, secret: secret || null };
+  });
 }
 
-function inventoryKey(row) {
-  return [row?.yardId, row?.year, row?.make, row?.model, row?.row].map((v) => String(v || "")).join(":");
+// Issues a fresh owner token, or echoes the caller's token back if it still verifies.
+async function handleOwnerToken(request, env, allowedOrigin = "*") {
+  const presented = readOwnerToken(request);
+  if (presented && (await verifyOwnerToken(presented, env))) {
+    return json({ ownerToken: presented, issued: false }, 200, {}, allowedOrigin);
+  }
+  const ownerToken = await issueOwnerToken(env);
+  return json({ ownerToken, issued: true }, 201, {}, allowedOrigin);
 }
 
-function getSearchStore(env) {
-  return env?.ALERTS || env?.SAVED_SEARCHES || null;
+// One-time adoption of alerts saved before owner tokens existed (owned by the old IP+UA hash).
+// Proving possession of the push subscription (endpoint + auth secret) is enough to claim them.
+async function handleClaimAlerts(request, env, allowedOrigin = "*") {
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+  const ownerKey = await resolveOwnerKey(request, env);
+  if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+
+  const body = await readBodyParams(request);
+  const subscription = normalizeSubscription(body.subscription || body.pushSubscription || null);
+  if (!subscription) return json({ error: "Push subscription (endpoint, auth, p256dh) is required" }, 400, {}, allowedOrigin);
+
+  const claimable = (await store.listByEndpoint(subscription.endpoint)).filter(
+    (s) => s.ownerKind !== "token" && normalizeText(s.pushAuth || "") === subscription.auth
+  );
+
+  const claimedAt = new Date().toISOString();
+  const claimed = [];
+  for (const search of claimable) {
+    const next = await store.update(search.id, (current) => ({ ...current, ownerKey, ownerKind: "token", claimedAt }));
+    if (next) claimed.push(redactSearchForClient(next));
+  }
+
+  return json({ ok: true, claimed: claimed.length, alerts: claimed }, 200, {}, allowedOrigin);
 }
 
-async function handleAlerts(request, env, allowedOrigin = "*") {
+// Passwordless accounts. An account id doubles as an owner id, so signing in on another device
+// just hands that device an owner token for the account; every alert and device follows it.
+async function handleAccount(request, env, allowedOrigin = "*") {
   const url = new URL(request.url);
-  const idFromPath = url.pathname.length > ALERT_ROUTE_PREFIX.length ? url.pathname.slice(ALERT_ROUTE_PREFIX.length + 1) : null;
+  const action = url.pathname.slice(ACCOUNT_ROUTE_PREFIX.length).replace(/^\//, "");
 
-  if (request.method === "GET") {
-    if (url.pathname.endsWith("/public-key")) {
-      const vapid = await getVapidKeys(env);
-      const body = {
-        publicKey: vapid.publicKey,
-        persistedToKV: vapid.persistedToKV,
-      };
-      if (vapid.persistenceError) {
-        body.persistenceError = vapid.persistenceError;
-      }
-      return json(body, 200, { "Cache-Control": "public, max-age=300" }, allowedOrigin);
-    }
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
 
-    const kv = getSearchStore(env);
-    if (!kv) return json({ error: "KV namespace not configured" }, 500, {}, allowedOrigin);
+  if (action === "login" && request.method === "POST") {
+    const body = await readBodyParams(request);
+    const email = normalizeEmail(body.email);
+    if (!email) return json({ error: "A valid email is required" }, 400, {}, allowedOrigin);
 
-    const ownerKey = await hashOwner(request, env);
+    const appUrl = resolveAppUrl(request, env, allowedOrigin);
+    if (!appUrl) return json({ error: "ALERT_APP_URL not configured" }, 500, {}, allowedOrigin);
+
+    const ip = normalizeText(request.headers.get("cf-connecting-ip") || "");
+    const limits = [[`email:${await hashString(email)}`, LOGIN_RATE_LIMIT_PER_EMAIL]];
+    if (ip) limits.push([`ip:${await hashString(ip)}`, LOGIN_RATE_LIMIT_PER_IP]);
+    let limited = false;
+    for (const [key, limit] of limits) {
+      if ((await store.countLoginAttempt(key, LOGIN_RATE_LIMIT_WINDOW_SECONDS)) > limit) limited = true;
+    }
+    if (limited) {
+      const retryAfter = { "Retry-After": String(LOGIN_RATE_LIMIT_WINDOW_SECONDS) };
+      return json({ error: "Too many sign-in requests. Try again later." }, 429, retryAfter, allowedOrigin);
+    }
 
-    const saved = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
-    const searches = Array.isArray(saved) ? saved : [];
-    const mine = searches.filter((s) => s.ownerKey === ownerKey);
-    return json({ count: mine.length, alerts: mine.map(redactSearchForClient) }, 200, {}, allowedOrigin);
+    const token = await issueLoginToken(email, env);
+    const link = new URL(appUrl);
+    link.searchParams.set("login", token);
+    await sendEmail(env, {
+      to: email,
+      subject: "Your Jalopy Alerts sign-in link",
+      text: `Sign in to Jalopy Alerts: ${link}\n\nThe link expires in ${LOGIN_TOKEN_TTL_SECONDS / 60} minutes. If you didn't ask for it, ignore this email.`,
+      html: `<p><a href="${escapeHtml(link.toString())}">Sign in to Jalopy Alerts</a></p><p>The link expires in ${
+        LOGIN_TOKEN_TTL_SECONDS / 60
+      } minutes. If you didn't ask for it, ignore this email.</p>`,
+    });
+    // Same response whether or not the account exists.
+    return json({ ok: true }, 202, {}, allowedOrigin);
   }
 
-  if (request.method === "POST") {
-    const kv = getSearchStore(env);
-    if (!kv) return json({ error: "KV namespace not configured" }, 500, {}, allowedOrigin);
+  const ownerKey = await resolveOwnerKey(request, env);
+  if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
 
-    const ownerKey = await hashOwner(request, env);
-    const payload = await readBodyParams(request);
-    let validated;
-    try {
-      validated = await validateAlertPayload(payload);
-    } catch (err) {
-      return json({ error: String(err?.message || err) }, 400, {}, allowedOrigin);
+  if (action === "verify" && request.method === "POST") {
+    const body = await readBodyParams(request);
+    const login = await verifyLoginToken(body.token, env);
+    if (!login || !(await store.consumeLoginNonce(login.nonce, login.exp * 1000))) {
+      return json({ error: "Sign-in link is invalid or expired" }, 400, {}, allowedOrigin);
     }
 
-    const saved = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
-    const searches = Array.isArray(saved) ? saved : [];
-
-    if (searches.length >= MAX_ALERTS_TOTAL) {
-      return json({ error: "Alert capacity reached. Try again later." }, 429, {}, allowedOrigin);
+    let account = await store.findAccountByEmail(login.email);
+    if (!account) {
+      account = await store.putAccount({ id: crypto.randomUUID(), email: login.email, createdAt: new Date().toISOString() });
     }
 
-    const mine = searches.filter((s) => s.ownerKey === ownerKey);
-    if (mine.length >= MAX_ALERTS_PER_OWNER) {
-      return json({ error: "Too many saved alerts. Delete one before adding another." }, 429, {}, allowedOrigin);
+    // Fold this device's anonymous alerts and subscriptions into the account.
+    if (ownerKey !== account.id) {
+      for (const search of await store.listByOwner(ownerKey)) {
+        await store.update(search.id, (current) => ({ ...current, ownerKey: account.id, ownerKind: "token" }));
+      }
+      for (const sub of await store.listSubscriptions(ownerKey)) {
+        await store.deleteSubscription(ownerKey, sub.endpoint);
+        await registerDevice(store, account.id, sub);
+      }
     }
 
-    const desiredRange = deriveYearRange(validated);
-    const duplicate = mine.find((s) => {
-      const range = deriveYearRange(s);
-      return (
-        normalizeText(s.VehicleMake) === validated.VehicleMake &&
-        normalizeText(s.VehicleModel || "") === normalizeText(validated.VehicleModel || "") &&
-        yearRangesEqual(range, desiredRange) &&
-        normalizeText(s.pushEndpoint || "") === normalizeText(validated.pushEndpoint || "")
-      );
-    });
-    if (duplicate) {
-      return json({ error: "You already saved this search." }, 409, {}, allowedOrigin);
-    }
+    const subscription = normalizeSubscription(body.subscription || null);
+    if (subscription) await registerDevice(store, account.id, subscription);
 
-    const id = crypto.randomUUID();
-    const base = {
-      id,
-      ownerKey,
-      createdAt: new Date().toISOString(),
-      VehicleMake: validated.VehicleMake,
-      VehicleModel: validated.VehicleModel || "",
-      VehicleYear: validated.VehicleYear,
-      VehicleMinYear: validated.VehicleMinYear ?? null,
-      VehicleMaxYear: validated.VehicleMaxYear ?? null,
-      pushEndpoint: validated.pushEndpoint || null,
-      pushAuth: validated.pushAuth || null,
-      pushP256dh: validated.pushP256dh || null,
-    };
+    const ownerToken = await signOwnerId(account.id, env);
+    return json({ ok: true, ownerToken, account: redactAccount(account) }, 200, {}, allowedOrigin);
+  }
 
-    try {
-      base.lastSnapshot = await runSavedSearch(base);
-    } catch (err) {
-      base.lastSnapshot = [];
-      base.lastNotificationStatus = `prefetch failed: ${String(err?.message || err)}`;
+  if (action === "" && request.method === "GET") {
+    const account = await store.getAccount(ownerKey);
+    const devices = await store.listSubscriptions(ownerKey);
+    return json({ account: account ? redactAccount(account) : null, devices: devices.map(redactDevice) }, 200, {}, allowedOrigin);
+  }
+
+  if (action === "devices" && (request.method === "POST" || request.method === "DELETE")) {
+    const body = await readBodyParams(request);
+    if (request.method === "DELETE") {
+      const endpoint = normalizeText(body.endpoint || "");
+      if (!endpoint) return json({ error: "endpoint is required" }, 400, {}, allowedOrigin);
+      await store.deleteSubscription(ownerKey, endpoint);
+      return json({ ok: true }, 200, {}, allowedOrigin);
+    }
+    const subscription = normalizeSubscription(body.subscription || null);
+    if (!subscription) return json({ error: "Push subscription (endpoint, auth, p256dh) is required" }, 400, {}, allowedOrigin);
+    const existing = await store.listSubscriptions(ownerKey);
+    if (existing.length >= MAX_DEVICES_PER_OWNER && !existing.some((d) => d.endpoint === subscription.endpoint)) {
+      return json({ error: "Too many devices. Remove one before adding another." }, 429, {}, allowedOrigin);
     }
+    await registerDevice(store, ownerKey, subscription);
+    return json({ ok: true }, 200, {}, allowedOrigin);
+  }
+
+  return json({ error: "Not found" }, 404, {}, allowedOrigin);
+}
+
+async function registerDevice(store, ownerKey, { endpoint, p256dh, auth }) {
+  if (!ownerKey || !endpoint || !p256dh || !auth) return;
+  await store.putSubscription(ownerKey, { endpoint, p256dh, auth });
+}
 
-    searches.push(base);
-    await kv.put(SAVED_SEARCHES_KV_KEY, JSON.stringify(searches));
+function redactAccount(account) {
+  return { id: account.id, email: account.email, createdAt: account.createdAt || null };
+}
+
+function redactDevice(device) {
+  return {
+    endpointHost: safeHost(device.endpoint),
+    endpoint: device.endpoint,
+    createdAt: device.createdAt || null,
+    updatedAt: device.updatedAt || null,
+  };
+}
 
-    return json({ ok: true, alert: redactSearchForClient(base) }, 201, {}, allowedOrigin);
+function safeHost(endpoint) {
+  try {
+    return new URL(endpoint).host;
+  } catch (err) {
+    return null;
   }
+}
 
-  if (request.method === "DELETE") {
-    const kv = getSearchStore(env);
-    if (!kv) return json({ error: "KV namespace not configured" }, 500, {}, allowedOrigin);
+function normalizeEmail(v) {
+  const email = normalizeText(v).toLowerCase();
+  if (email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+  return email;
+}
 
-    const ownerKey = await hashOwner(request, env);
-    const id = (idFromPath || url.searchParams.get("id") || "").trim();
-    if (!id) return json({ error: "id is required" }, 400, {}, allowedOrigin);
+async function issueLoginToken(email, env) {
+  const exp = Math.floor(Date.now() / 1000) + LOGIN_TOKEN_TTL_SECONDS;
+  return await issueSignedToken(LOGIN_TOKEN_VERSION, "login", { email, exp, nonce: crypto.randomUUID() }, env);
+}
 
-    const saved = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
-    const searches = Array.isArray(saved) ? saved : [];
-    const before = searches.length;
-    const remaining = searches.filter((s) => !(s.id === id && s.ownerKey === ownerKey));
-    if (remaining.length === before) return json({ error: "Not found" }, 404, {}, allowedOrigin);
+async function verifyLoginToken(token, env) {
+  const claims = await verifySignedToken(token, LOGIN_TOKEN_VERSION, "login", env);
+  return claims?.email && claims?.nonce ? claims : null;
+}
 
-    await kv.put(SAVED_SEARCHES_KV_KEY, JSON.stringify(remaining));
-    return json({ ok: true }, 200, {}, allowedOrigin);
+// "<version>.<base64url JSON claims>.<HMAC over `<purpose>:<body>`>"; the purpose keeps one kind of token
+// from being replayed as another.
+async function issueSignedToken(version, purpose, claims, env) {
+  const body = base64UrlEncode(JSON.stringify(claims));
+  const key = await getOwnerSigningKey(env);
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(`${purpose}:${body}`));
+  return `${version}.${body}.${base64UrlEncode(sig, true)}`;
+}
+
+// Returns the claims of a valid, unexpired token, or null.
+async function verifySignedToken(token, expectedVersion, purpose, env) {
+  const [version, body, sig] = normalizeText(token).split(".");
+  if (version !== expectedVersion || !body || !sig) return null;
+  let claims;
+  try {
+    const key = await getOwnerSigningKey(env);
+    const ok = await crypto.subtle.verify("HMAC", key, base64UrlToUint8Array(sig), new TextEncoder().encode(`${purpose}:${body}`));
+    if (!ok) return null;
+    claims = JSON.parse(new TextDecoder().decode(base64UrlToUint8Array(body)));
+  } catch (err) {
+    return null;
   }
+  if (!(claims?.exp > Date.now() / 1000)) return null;
+  return claims;
+}
 
-  return json({ error: "Method not allowed" }, 405, {}, allowedOrigin);
+// Links in emails only ever point at the configured app, or at an origin on the CORS allow-list.
+function resolveAppUrl(request, env, allowedOrigin) {
+  const origin = normalizeText(request.headers.get("origin") || "");
+  return normalizeText(env?.ALERT_APP_URL || "") || (origin && origin === allowedOrigin ? origin : "");
 }
 
-async function handleNotificationPoll(request, env, allowedOrigin = "*") {
-  const kv = getSearchStore(env);
-  if (!kv) return json({ error: "KV namespace not configured" }, 500, {}, allowedOrigin);
+async function sendEmail(env, { to, subject, text, html }) {
+  const from = normalizeText(env?.ALERT_EMAIL_FROM || "");
+  const sender = getEmailSender(env);
+  if (!sender || !from) throw new Error("Email not configured (ALERT_EMAIL_API_KEY, ALERT_EMAIL_FROM)");
+  await sender.send({ from, to, subject, text, html });
+}
 
-  const body = await readBodyParams(request);
-  const endpoint = normalizeText(body.endpoint || "");
-  if (!endpoint) return json({ error: "endpoint is required" }, 400, {}, allowedOrigin);
+// Email senders share one shape: { name, send({ from, to, subject, text, html }) }.
+// `ALERT_EMAIL_SENDER` picks one; "http" (default) posts JSON to ALERT_EMAIL_API_URL, or through the
+// `ALERT_EMAIL_SERVICE` service binding when bound (handy for pointing `wrangler dev` at a local stand-in).
+const EMAIL_SENDERS = {
+  http(env) {
+    const apiKey = normalizeText(env?.ALERT_EMAIL_API_KEY || "");
+    if (!apiKey && !env?.ALERT_EMAIL_SERVICE) return null;
+    return createHttpEmailSender({
+      url: normalizeText(env?.ALERT_EMAIL_API_URL || DEFAULT_EMAIL_API_URL),
+      apiKey,
+      fetcher: env?.ALERT_EMAIL_SERVICE || null,
+    });
+  },
+  console() {
+    return createConsoleEmailSender();
+  },
+};
 
-  const saved = await kv.get(SAVED_SEARCHES_KV_KEY, { type: "json" });
-  const searches = Array.isArray(saved) ? saved : [];
-  const match = searches.find((s) => normalizeText(s.pushEndpoint || "") === endpoint);
-  if (!match) return json({ notification: null }, 200, {}, allowedOrigin);
+function getEmailSender(env) {
+  const kind = normalizeText(env?.ALERT_EMAIL_SENDER || "http").toLowerCase();
+  const factory = EMAIL_SENDERS[kind];
+  if (!factory) throw new Error(`Unknown ALERT_EMAIL_SENDER: ${kind}`);
+  return factory(env);
+}
 
-  return json(
-    {
-      notification: match.lastNotificationPayload || null,
-      lastNotifiedAt: match.lastNotifiedAt || null,
-      lastNotificationStatus: match.lastNotificationStatus || null,
+function createHttpEmailSender({ url, apiKey, fetcher = null }) {
+  return {
+    name: "http",
+    async send({ from, to, subject, text, html }) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const init = { method: "POST", headers, body: JSON.stringify({ from, to, subject, text, html }) };
+      const resp = fetcher ? await fetcher.fetch(url, init) : await fetch(url, init);
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(`email failed (${resp.status}): ${txt}`);
+      }
     },
-    200,
-    {},
-    allowedOrigin
-  );
+  };
 }
 
-function redactSearchForClient(search) {
-  const { id, VehicleMake, VehicleModel, VehicleYear, createdAt, lastNotifiedAt, lastNotificationStatus, pushEndpoint } = search || {};
+// Logs instead of sending; for local development without an email provider.
+function createConsoleEmailSender() {
   return {
-    id,
-    VehicleMake,
-    VehicleModel,
-    VehicleYear: VehicleYear ?? null,
-    VehicleMinYear: search?.VehicleMinYear ?? null,
-    VehicleMaxYear: search?.VehicleMaxYear ?? null,
-    hasPush: !!pushEndpoint,
-    createdAt,
-    lastNotifiedAt: lastNotifiedAt || null,
-    lastNotificationStatus: lastNotificationStatus || null,
+    name: "console",
+    async send({ from, to, subject, text }) {
+      console.log("email (console sender)", { from, to, subject, text });
+    },
   };
 }
 
-async function validateAlertPayload(payload) {
-  const VehicleMake = normalizeText(payload.VehicleMake || payload.make || "");
-  const VehicleModel = normalizeText(payload.VehicleModel || payload.model || "");
-  const { minYear, maxYear } = deriveYearRange(payload, { strict: true });
-  const subscription = normalizeSubscription(payload.subscription || payload.pushSubscription || null);
-  const pushEndpoint = subscription?.endpoint || normalizeText(payload.pushEndpoint || "");
-  const pushAuth = subscription?.auth || normalizeText(payload.pushAuth || "");
-  const pushP256dh = subscription?.p256dh || normalizeText(payload.pushP256dh || "");
+function buildEmailDigest(search, newVehicles, env, kind = "added") {
+  const detail = describeAlertTarget(search);
+  const rows = newVehicles.slice(0, EMAIL_DIGEST_MAX_ROWS);
+  const more = newVehicles.length - rows.length;
+  const appUrl = normalizeText(env?.ALERT_APP_URL || "");
+  const summary = describeVehicleCount(newVehicles.length, kind);
+  const subject = `Jalopy Alerts: ${summary} — ${detail}`;
+
+  const textLines = [
+    `${summary} for ${detail}:`,
+    "",
+    ...rows.map((r) => `- ${r.yardName}: ${r.year} ${r.make} ${r.model}, row ${r.row}`),
+  ];
+  if (more > 0) textLines.push(`…and ${more} more`);
+  if (appUrl) textLines.push("", `Manage your alerts: ${appUrl}`);
+
+  const cell = (v) => `<td style="padding:4px 8px;border-bottom:1px solid #eee">${escapeHtml(v ?? "")}</td>`;
+  const header = ["Yard", "Year", "Make", "Model", "Row"].map((h) => `<th style="padding:4px 8px;text-align:left">${h}</th>`).join("");
+  const body = rows.map((r) => `<tr>${[r.yardName, r.year, r.make, r.model, r.row].map(cell).join("")}</tr>`).join("");
+  const html = [
+    `<p>${escapeHtml(summary)} for <strong>${escapeHtml(detail)}</strong>:</p>`,
+    `<table style="border-collapse:collapse;font-family:sans-serif;font-size:14px"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table>`,
+    more > 0 ? `<p>…and ${more} more</p>` : "",
+    appUrl ? `<p><a href="${escapeHtml(appUrl)}">Manage your alerts</a></p>` : "",
+  ].join("");
+
+  return { subject, text: textLines.join("\n"), html };
+}
 
-  if (!VehicleMake) throw new Error("VehicleMake is required");
-  if (VehicleMake.length > 48) throw new Error("VehicleMake too long");
-  if (VehicleModel.length > 64) throw new Error("VehicleModel too long");
+async function deliverEmail(search, newVehicles, env, kind = "added") {
+  const from = normalizeText(env?.ALERT_EMAIL_FROM || "");
+  let sender;
+  try {
+    sender = getEmailSender(env);
+  } catch (err) {
+    return `email unavailable (${String(err?.message || err)})`;
+  }
+  if (!sender || !from) return "email unavailable (not configured)";
+  if (!search.emailVerifiedAt) return "email not sent (address not confirmed)";
 
-  if (!pushEndpoint || !pushAuth || !pushP256dh) {
-    throw new Error("Push subscription (endpoint, auth, p256dh) is required");
+  try {
+    await sender.send({ from, to: search.email, ...buildEmailDigest(search, newVehicles, env, kind) });
+    return "email sent";
+  } catch (err) {
+    return `email failed: ${String(err?.message || err)}`;
   }
+}
 
-  return {
-    VehicleMake,
-    VehicleModel,
-    VehicleMinYear: minYear,
-    VehicleMaxYear: maxYear,
-    VehicleYear: minYear !== null && minYear === maxYear ? minYear : null,
-    pushEndpoint,
-    pushAuth,
-    pushP256dh,
-  };
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Moves the caller's alerts onto a new push subscription: alerts on `oldEndpoint` (the browser rotated
+// its subscription) and alerts whose push channel went inactive after a 404/410.
+async function handleSubscriptionSync(request, env, allowedOrigin = "*") {
+  const store = await getSearchStore(env);
+  if (!store) return json({ error: "Alert storage not configured" }, 500, {}, allowedOrigin);
+
+  const ownerKey = await resolveOwnerKey(request, env);
+  if (!ownerKey) return json({ error: "Owner token missing or invalid" }, 401, {}, allowedOrigin);
+
+  const body = await readBodyParams(request);
+  const subscription = normalizeSubscription(body.subscription || null);
+  if (!subscription) return json({ error: "Push subscription (endpoint, auth, p256dh) is required" }, 400, {}, allowedOrigin);
+  const oldEndpoint = normalizeText(body.oldEndpoint || "");
+
+  const mine = await store.listByOwner(ownerKey);
+  const stale = mine.filter(
+    (s) => s.pushEndpoint !== subscription.endpoint && ((oldEndpoint && s.pushEndpoint === oldEndpoint) || s.pushInactiveAt)
+  );
+  for (const search of stale) {
+    await store.update(search.id, (current) => ({
+      ...current,
+      pushEndpoint: subscription.endpoint,
+      pushAuth: subscription.auth,
+      pushP256dh: subscription.p256dh,
+      pushInactiveAt: null,
+      pushInactiveReason: null,
+    }));
+  }
+
+  if (oldEndpoint && oldEndpoint !== subscription.endpoint) await store.deleteSubscription(ownerKey, oldEndpoint);
+  await registerDevice(store, ownerKey, subscription);
+
+  return json({ ok: true, updated: stale.length }, 200, {}, allowedOrigin);
+}
+
+// Returns the owner id from a valid Bearer owner token, or null.
+async function resolveOwnerKey(request, env) {
+  const token = readOwnerToken(request);
+  if (!token) return null;
+  return await verifyOwnerToken(token, env);
+}
+
+function readOwnerToken(request) {
+  const header = (request.headers.get("authorization") || "").trim();
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+async function issueOwnerToken(env) {
+  return await signOwnerId(crypto.randomUUID(), env);
+}
+
+async function signOwnerId(ownerId, env) {
+  const key = await getOwnerSigningKey(env);
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(ownerId));
+  return `${OWNER_TOKEN_VERSION}.${ownerId}.${base64UrlEncode(sig, true)}`;
+}
+
+async function verifyOwnerToken(token, env) {
+  const [version, ownerId, sig] = String(token || "").split(".");
+  if (version !== OWNER_TOKEN_VERSION || !ownerId || !sig) return null;
+  let sigBytes;
+  try {
+    sigBytes = base64UrlToUint8Array(sig);
+  } catch (err) {
+    return null;
+  }
+  const key = await getOwnerSigningKey(env);
+  const ok = await crypto.subtle.verify("HMAC", key, sigBytes, new TextEncoder().encode(ownerId));
+  return ok ? ownerId : null;
 }
 
-async function hashOwner(request, env) {
-  const ip = (request.headers.get("cf-connecting-ip") || "").trim();
-  const ua = (request.headers.get("user-agent") || "").trim();
-  const salt = (env?.ALERT_SIGNING_SECRET || "default-salt").trim();
-  return await hashString(`${salt}:${ip}:${ua}`);
+async function getOwnerSigningKey(env) {
+  const secret = (env?.ALERT_SIGNING_SECRET || "").trim();
+  if (!secret) throw new Error("ALERT_SIGNING_SECRET not configured");
+  return await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+    "verify",
+  ]);
 }
 
 async function hashString(input) {
@@ -681,25 +3882,212 @@ function normalizeSubscription(sub) {
   return { endpoint, auth, p256dh };
 }
 
-async function deliverNotifications(search, newVehicles, env) {
-  const payload = buildNotificationPayload(search, newVehicles);
-  const vapid = await getVapidKeys(env);
+// `goneEndpoints` (endpoint -> status) is shared across a sweep: endpoints already reported gone are
+// skipped, and newly gone ones are added so the caller can deactivate them.
+// `kind` is "added" (new arrivals) or "removed" (vehicles gone from the lot).
+async function deliverNotifications(search, newVehicles, env, { store = null, goneEndpoints = new Map(), kind = "added" } = {}) {
+  const payload = buildNotificationPayload(search, newVehicles, kind);
+  const targets = (await collectPushTargets(search, store)).filter((t) => !goneEndpoints.has(t.endpoint));
+  const webhooks = Array.isArray(search?.webhooks) ? search.webhooks : [];
+  const statuses = [];
+  let webhookStatus = null;
+
+  if (!targets.length && search?.pushEndpoint && (search.pushInactiveAt || goneEndpoints.has(search.pushEndpoint))) {
+    statuses.push("push inactive (re-subscribe needed)");
+  } else if (targets.length || (!search?.email && !webhooks.length)) {
+    statuses.push(await deliverPush(targets, payload, env, goneEndpoints));
+  }
+  if (search?.email) statuses.push(await deliverEmail(search, newVehicles, env, kind));
+  if (webhooks.length) {
+    webhookStatus = await deliverWebhooks(search, webhooks, newVehicles, payload, kind);
+    const results = Object.values(webhookStatus);
+    const ok = results.filter((r) => r.ok).length;
+    const firstError = results.find((r) => !r.ok)?.error;
+    statuses.push(`webhooks ${ok}/${results.length} delivered${firstError ? ` (${firstError})` : ""}`);
+  }
 
-  if (!vapid?.publicKey || !vapid?.privateKey) return { status: "push unavailable (missing VAPID keys)", payload };
+  return { status: statuses.join("; "), payload, webhookStatus };
+}
 
-  if (!search?.pushEndpoint) {
-    return { status: "no push subscription", payload };
+// Posts to each webhook in turn; returns { [webhookId]: { ok, status, attempts, at, error } }.
+async function deliverWebhooks(search, webhooks, newVehicles, payload, kind = "added") {
+  const out = {};
+  for (const hook of webhooks) {
+    const request = buildWebhookRequest(hook, search, newVehicles, payload, kind);
+    out[hook.id] = await postWebhookWithRetry(hook, request);
   }
+  return out;
+}
 
-  try {
-    await sendWebPush({
-      endpoint: search.pushEndpoint,
-      vapid,
-    });
-    return { status: "push sent", payload };
-  } catch (err) {
-    return { status: `push failed: ${String(err?.message || err)}`, payload };
+function buildWebhookRequest(hook, search, newVehicles, payload, kind = "added") {
+  const lines = newVehicles.map(describeVehicleLine);
+  const title = payload.title;
+
+  if (hook.format === "discord") {
+    return {
+      contentType: "application/json",
+      body: JSON.stringify({
+        username: "Jalopy Alerts",
+        embeds: [
+          {
+            title: truncateText(title, 256),
+            description: truncateLines(lines, 4000),
+            color: 0xf65a2c,
+            timestamp: new Date().toISOString(),
+          },
+        ],
+      }),
+    };
+  }
+
+  if (hook.format === "slack") {
+    return {
+      contentType: "application/json",
+      body: JSON.stringify({
+        text: `${title}: ${describeVehicleCount(newVehicles.length, kind)}`,
+        blocks: [
+          { type: "header", text: { type: "plain_text", text: truncateText(title, 150) } },
+          { type: "section", text: { type: "mrkdwn", text: truncateLines(lines, 2900) } },
+        ],
+      }),
+    };
+  }
+
+  if (hook.format === "ntfy") {
+    return {
+      contentType: "text/plain; charset=utf-8",
+      // ntfy reads the title from a header; header values must stay ASCII.
+      headers: { Title: title.replace(/[^\x20-\x7e]/g, "-"), Tags: kind === "removed" ? "wastebasket" : "car" },
+      body: truncateLines(lines, 3800),
+    };
+  }
+
+  return {
+    contentType: "application/json",
+    body: JSON.stringify({
+      event: kind === "removed" ? "removed_vehicles" : "new_vehicles",
+      alert: {
+        id: search.id,
+        VehicleMake: search.VehicleMake,
+        VehicleModel: search.VehicleModel || null,
+        VehicleModels: alertCriteria(search).models,
+        ...deriveYearRange(search),
+      },
+      title,
+      count: newVehicles.length,
+      vehicles: newVehicles.map(({ yardId, yardName, year, make, model, row }) => ({ yardId, yardName, year, make, model, row })),
+      sentAt: new Date().toISOString(),
+    }),
+  };
+}
+
+async function postWebhookWithRetry(hook, { contentType, headers = {}, body }) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const outHeaders = { "Content-Type": contentType, "User-Agent": "JalopyAlerts-Webhook/1", ...headers, [WEBHOOK_TIMESTAMP_HEADER]: timestamp };
+  if (hook.secret) outHeaders[WEBHOOK_SIGNATURE_HEADER] = `sha256=${await hmacHex(hook.secret, `${timestamp}.${body}`)}`;
+
+  let lastError = null;
+  let lastStatus = null;
+  let attempts = 0;
+  for (let attempt = 1; attempt <= MAX_WEBHOOK_ATTEMPTS; attempt++) {
+    attempts = attempt;
+    try {
+      const resp = await fetch(hook.url, {
+        method: "POST",
+        headers: outHeaders,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      lastStatus = resp.status;
+      if (resp.ok) return { ok: true, status: resp.status, attempts: attempt, at: new Date().toISOString(), error: null };
+      lastError = `HTTP ${resp.status}`;
+      // Client errors (other than rate limiting) won't fix themselves on retry.
+      if (resp.status < 500 && resp.status !== 429) break;
+    } catch (err) {
+      lastError = String(err?.message || err);
+    }
+    if (attempt < MAX_WEBHOOK_ATTEMPTS) await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  }
+  return { ok: false, status: lastStatus, attempts, at: new Date().toISOString(), error: lastError };
+}
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(sig))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function truncateText(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// Joins lines until `max` characters, then summarizes the rest.
+function truncateLines(lines, max) {
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    if (used + line.length + 1 > max - 24) break;
+    kept.push(line);
+    used += line.length + 1;
+  }
+  if (kept.length < lines.length) kept.push(`…and ${lines.length - kept.length} more`);
+  return kept.join("\n");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function deliverPush(targets, payload, env, goneEndpoints = new Map()) {
+  if (!targets.length) return "no push subscription";
+
+  const vapid = await getVapidKeys(env);
+  if (!vapid?.publicKey || !vapid?.privateKey) return "push unavailable (missing VAPID keys)";
+
+  const results = [];
+  for (const target of targets) {
+    if (!target.p256dh || !target.auth) {
+      results.push("push unavailable (missing subscription keys)");
+      continue;
+    }
+    try {
+      await sendWebPush({ ...target, payload, vapid });
+      results.push("push sent");
+    } catch (err) {
+      if (isGonePushStatus(err?.status)) {
+        goneEndpoints.set(target.endpoint, err.status);
+        results.push(`push subscription expired (${err.status})`);
+      } else {
+        results.push(`push failed: ${String(err?.message || err)}`);
+      }
+    }
+  }
+
+  if (results.length === 1) return results[0];
+  const sent = results.filter((r) => r === "push sent").length;
+  const firstError = results.find((r) => r !== "push sent");
+  return `push sent to ${sent}/${results.length} devices${firstError ? ` (${firstError})` : ""}`;
+}
+
+// Push services answer 404/410 for subscriptions that will never work again.
+function isGonePushStatus(status) {
+  return status === 404 || status === 410;
+}
+
+// The alert's own subscription plus every device registered to its owner (account), deduped by endpoint.
+async function collectPushTargets(search, store) {
+  const targets = new Map();
+  if (search?.pushEndpoint && !search.pushInactiveAt) {
+    targets.set(search.pushEndpoint, { endpoint: search.pushEndpoint, p256dh: search.pushP256dh, auth: search.pushAuth });
+  }
+  if (store && search?.ownerKey) {
+    for (const device of await store.listSubscriptions(search.ownerKey)) {
+      if (!targets.has(device.endpoint)) targets.set(device.endpoint, { endpoint: device.endpoint, p256dh: device.p256dh, auth: device.auth });
+    }
   }
+  return Array.from(targets.values());
 }
 
 function pickAllowedOrigin(request, env) {
@@ -714,19 +4102,47 @@ function pickAllowedOrigin(request, env) {
   return allowed[0] || "*";
 }
 
-function buildNotificationPayload(search, newVehicles) {
-  const detail = `${describeYearRangeText(search)} ${search.VehicleMake}${search.VehicleModel ? ` ${search.VehicleModel}` : ""}`;
+function buildNotificationPayload(search, newVehicles, kind = "added") {
+  const detail = describeAlertTarget(search);
   const yardNames = Array.from(new Set(newVehicles.map((r) => r.yardName))).join(", ");
-  const body = `${newVehicles.length} new arrival(s) at ${yardNames || "unknown yard"}.`;
-  return {
-    title: `Jalopy Alerts: ${detail}`,
+  const lines = newVehicles.slice(0, PUSH_BODY_VEHICLE_LINES).map(describeVehicleLine);
+  if (newVehicles.length > lines.length) lines.push(`…and ${newVehicles.length - lines.length} more`);
+  const body = [`${describeVehicleCount(newVehicles.length, kind)} at ${yardNames || "unknown yard"}.`, ...lines].join("\n");
+  const payload = {
+    title: kind === "removed" ? `Jalopy Alerts: ${detail} (gone)` : `Jalopy Alerts: ${detail}`,
     body,
     data: {
       alertId: search.id,
+      kind,
       count: newVehicles.length,
       yards: yardNames,
+      vehicles: newVehicles.map(({ yardName, year, make, model, row }) => ({ yardName, year, make, model, row })),
     },
   };
+
+  // Push services cap the encrypted body at 4 KB; drop vehicles from the tail until it fits.
+  while (payload.data.vehicles.length && utf8Length(JSON.stringify(payload)) > MAX_PUSH_PLAINTEXT_BYTES) {
+    payload.data.vehicles.pop();
+  }
+  return payload;
+}
+
+function describeVehicleCount(count, kind = "added") {
+  return kind === "removed" ? `${count} vehicle(s) gone` : `${count} new arrival(s)`;
+}
+
+function describeVehicleLine(r) {
+  return `${r.year} ${r.make} ${r.model} — ${r.yardName} row ${r.row}`;
+}
+
+function utf8Length(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+// "1998–2005 HONDA ACCORD/CIVIC"
+function describeAlertTarget(search) {
+  const { models } = alertCriteria(search);
+  return `${describeYearRangeText(search)} ${search.VehicleMake}${models.length ? ` ${models.join("/")}` : ""}`;
 }
 
 function describeYearRangeText(search) {
@@ -807,7 +4223,7 @@ async function getVapidKeys(env) {
 }
 
 function getVapidKeyStore(env) {
-  return env?.ALERT_VAPID_KEYS || env?.VAPID_KEYS || getSearchStore(env);
+  return env?.ALERT_VAPID_KEYS || env?.VAPID_KEYS || getAlertsKv(env);
 }
 
 async function generateVapidKeyPair(subject) {
@@ -817,24 +4233,81 @@ async function generateVapidKeyPair(subject) {
   return { publicKey: base64UrlEncode(publicKey, true), privateKey: base64UrlEncode(privateKey, true), subject };
 }
 
-async function sendWebPush({ endpoint, vapid }) {
+async function sendWebPush({ endpoint, p256dh, auth, payload, vapid }) {
   const aud = new URL(endpoint).origin;
   const token = await createVapidJwt({ aud, vapid });
+  const body = await encryptPushPayload({ plaintext: JSON.stringify(payload), p256dh, auth });
   const headers = {
     TTL: "43200",
     Authorization: `vapid t=${token}, k=${vapid.publicKey}`,
+    "Content-Encoding": "aes128gcm",
+    "Content-Type": "application/octet-stream",
   };
 
-  // Send a minimal payload-free push; the service worker will fetch details.
-  const resp = await fetch(endpoint, { method: "POST", headers });
+  const resp = await fetch(endpoint, { method: "POST", headers, body });
   if (!resp.ok) {
     const txt = await resp.text();
-    throw new Error(`push failed (${resp.status}): ${txt}`);
+    const err = new Error(`push failed (${resp.status}): ${txt}`);
+    err.status = resp.status;
+    throw err;
   }
 
   return "push sent";
 }
 
+// RFC 8291 message encryption (aes128gcm, RFC 8188) as a single record.
+async function encryptPushPayload({ plaintext, p256dh, auth }) {
+  const uaPublic = new Uint8Array(base64UrlToUint8Array(p256dh));
+  const authSecret = new Uint8Array(base64UrlToUint8Array(auth));
+  if (uaPublic.length !== 65 || authSecret.length !== 16) throw new Error("invalid push subscription keys");
+
+  const local = await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, true, ["deriveBits"]);
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey("raw", local.publicKey));
+  const uaKey = await crypto.subtle.importKey("raw", uaPublic, { name: "ECDH", namedCurve: "P-256" }, false, []);
+  const ecdhSecret = await crypto.subtle.deriveBits({ name: "ECDH", public: uaKey }, local.privateKey, 256);
+
+  // IKM = HKDF(auth_secret, ecdh_secret, "WebPush: info" || 0x00 || ua_public || as_public, 32)
+  const keyInfo = concatBytes(new TextEncoder().encode("WebPush: info\0"), uaPublic, asPublic);
+  const ikm = await hkdf(authSecret, new Uint8Array(ecdhSecret), keyInfo, 32);
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const cek = await hkdf(salt, ikm, new TextEncoder().encode("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = await hkdf(salt, ikm, new TextEncoder().encode("Content-Encoding: nonce\0"), 12);
+
+  // 0x02 marks the final (and only) record; no extra padding.
+  const padded = concatBytes(new TextEncoder().encode(plaintext), new Uint8Array([2]));
+  const recordSize = padded.length + 16;
+  if (PUSH_HEADER_BYTES + recordSize > MAX_PUSH_BODY_BYTES) throw new Error("push payload too large");
+
+  const aesKey = await crypto.subtle.importKey("raw", cek, { name: "AES-GCM" }, false, ["encrypt"]);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv: nonce }, aesKey, padded));
+
+  // Header: salt (16) || rs (uint32 BE) || idlen (1) || keyid (as_public)
+  const header = new Uint8Array(PUSH_HEADER_BYTES);
+  header.set(salt, 0);
+  new DataView(header.buffer).setUint32(16, recordSize);
+  header[20] = asPublic.length;
+  header.set(asPublic, 21);
+
+  return concatBytes(header, ciphertext);
+}
+
+async function hkdf(salt, ikm, info, length) {
+  const key = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt, info }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+function concatBytes(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
 async function createVapidJwt({ aud, vapid }) {
   const now = Math.floor(Date.now() / 1000);
   const exp = now + 12 * 60 * 60; // 12h